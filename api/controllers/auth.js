@@ -1,49 +1,250 @@
 import User from "../models/User.js";
 import bcrypt from "bcryptjs";
-import { createError } from "../utils/error.js";
-import jwt from "jsonwebtoken";
+import { ForbiddenError, createError } from "../utils/error.js";
+import Session from "../models/Session.js";
+import Token from "../models/Token.js";
+import { roleOf } from "../utils/permissions.js";
+import {
+  clearAuthCookies,
+  consumeOneTimeToken,
+  createOneTimeToken,
+  createSession,
+  hashToken,
+  revokeUserSessions,
+  setAuthCookies,
+} from "../utils/tokens.js";
+import { clientUrl, sendMail } from "../utils/mailer.js";
+import { hashPassword } from "../utils/passwords.js";
+import { loginLimiter } from "../utils/rateLimiter.js";
+import { serializeUser } from "../utils/serialize.js";
 
 export const register = async (req, res, next) => {
   try {
-    const salt = bcrypt.genSaltSync(10);
-    const hash = bcrypt.hashSync(req.body.password, salt);
-
     const newUser = new User({
       ...req.body,
-      password: hash,
+      password: hashPassword(req.body.password),
     });
 
     await newUser.save();
-    res.status(200).send("User has been created.");
+    await sendVerificationEmail(newUser);
+    res
+      .status(201)
+      .send("User has been created. Check your email to verify your account.");
+  } catch (err) {
+    next(err);
+  }
+};
+
+const VERIFY_TOKEN_MINUTES = 60 * 24;
+
+export const sendVerificationEmail = async (user) => {
+  const token = await createOneTimeToken(user._id, "verify-email", VERIFY_TOKEN_MINUTES);
+  await sendMail({
+    to: user.email,
+    subject: "Verify your Easybooking account",
+    text:
+      `Hi ${user.username},\n\n` +
+      `Confirm your email address to start booking:\n` +
+      `${clientUrl(`/verify?token=${token}`)}\n\n` +
+      `The link expires in 24 hours.`,
+  });
+};
+
+export const verifyEmail = async (req, res, next) => {
+  try {
+    const token = await consumeOneTimeToken(req.body.token, "verify-email");
+    if (!token)
+      return next(createError(400, "Verification link is invalid or has expired!"));
+
+    await User.findByIdAndUpdate(token.user, { $set: { isVerified: true } });
+    res.status(200).json("Your email has been verified.");
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Always answers the same way so the endpoint can't be used to probe emails.
+export const resendVerification = async (req, res, next) => {
+  try {
+    const user = await User.findOne({ email: req.body.email });
+    if (user && !user.isVerified) await sendVerificationEmail(user);
+    res
+      .status(200)
+      .json("If that account exists and is unverified, a new link has been sent.");
   } catch (err) {
     next(err);
   }
 };
+const DUMMY_HASH = hashPassword("not-a-real-password");
+
+// Only reported after the password matched, so it doesn't reveal which accounts exist.
+const accountDisabledError = () =>
+  new ForbiddenError("This account has been deactivated!", { code: "ACCOUNT_DISABLED" });
+
 export const login = async (req, res, next) => {
   try {
     const user = await User.findOne({ username: req.body.username });
-    if (!user) return next(createError(404, "User not found!"));
-
+    // Unknown users still pay for a bcrypt compare so timing doesn't reveal them.
     const isPasswordCorrect = await bcrypt.compare(
       req.body.password,
-      user.password
+      user ? user.password : DUMMY_HASH
     );
-    if (!isPasswordCorrect)
+    if (!user || !isPasswordCorrect) {
+      await loginLimiter.recordFailure(req.body.username);
       return next(createError(400, "Wrong password or username!"));
+    }
+    await loginLimiter.recordSuccess(req.body.username);
+    if (user.isActive === false) return next(accountDisabledError());
+
+    const role = roleOf(user);
+    const session = await createSession(user, req);
 
-    const token = jwt.sign(
-      { id: user._id, isAdmin: user.isAdmin },
-      process.env.JWT
+    setAuthCookies(res, user, session)
+      .status(200)
+      .json({ details: { ...serializeUser(user, "self"), role }, isAdmin: role === "admin" });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Exchanges a refresh token for a new access token. The refresh token is
+// rotated on every use; presenting one that was already rotated means it
+// leaked, so every session of that user is revoked. Sessions revoked on
+// purpose (logout, password change, deactivation) are simply refused.
+export const refresh = async (req, res, next) => {
+  try {
+    const token = req.cookies.refresh_token;
+    if (!token) return next(createError(401, "You are not authenticated!"));
+
+    const session = await Session.findOne({ tokenHash: hashToken(token) });
+    if (!session || session.expiresAt < new Date()) {
+      clearAuthCookies(res);
+      return next(createError(401, "Session has expired!"));
+    }
+    // Claim the session atomically so a token can only be rotated once.
+    const claimed = await Session.findOneAndUpdate(
+      { _id: session._id, revokedAt: { $exists: false } },
+      { $set: { revokedAt: new Date() } }
     );
+    if (!claimed) {
+      const current = await Session.findById(session._id, "replacedBy");
+      if (current?.replacedBy) await revokeUserSessions(session.user);
+      clearAuthCookies(res);
+      return next(createError(401, "Session has been revoked!"));
+    }
 
-    const { password, isAdmin, ...otherDetails } = user._doc;
+    const user = await User.findById(session.user);
+    if (!user) {
+      clearAuthCookies(res);
+      return next(createError(401, "You are not authenticated!"));
+    }
+    if (user.isActive === false) {
+      clearAuthCookies(res);
+      return next(accountDisabledError());
+    }
+
+    const nextSession = await createSession(user, req);
+    await Session.updateOne(
+      { _id: session._id },
+      { $set: { replacedBy: nextSession.session._id } }
+    );
+
+    const role = roleOf(user);
+    setAuthCookies(res, user, nextSession)
+      .status(200)
+      .json({ details: { ...serializeUser(user, "self"), role }, isAdmin: role === "admin" });
+  } catch (err) {
+    next(err);
+  }
+};
+
+export const logout = async (req, res, next) => {
+  try {
+    const token = req.cookies.refresh_token;
+    if (token) {
+      await Session.updateOne(
+        { tokenHash: hashToken(token), revokedAt: { $exists: false } },
+        { $set: { revokedAt: new Date() } }
+      );
+    }
+    clearAuthCookies(res).status(200).json("You have been logged out.");
+  } catch (err) {
+    next(err);
+  }
+};
+
+const RESET_TOKEN_MINUTES = 60;
+
+// Stores a new password hash and signs the user out everywhere.
+const updatePassword = async (userId, password) => {
+  await User.findByIdAndUpdate(userId, {
+    $set: { password: hashPassword(password), passwordChangedAt: new Date() },
+  });
+  await revokeUserSessions(userId);
+};
+
+// Always answers the same way so the endpoint can't be used to probe emails.
+export const forgotPassword = async (req, res, next) => {
+  try {
+    const user = await User.findOne({ email: req.body.email });
+    if (user) {
+      const token = await createOneTimeToken(user._id, "reset-password", RESET_TOKEN_MINUTES);
+      await sendMail({
+        to: user.email,
+        subject: "Reset your Easybooking password",
+        text:
+          `Hi ${user.username},\n\n` +
+          `Someone asked to reset your password. If it was you, open:\n` +
+          `${clientUrl(`/reset-password?token=${token}`)}\n\n` +
+          `The link expires in 1 hour. If it wasn't you, ignore this email.`,
+      });
+    }
     res
-      .cookie("access_token", token, {
-        httpOnly: true,
-      })
       .status(200)
-      .json({ details: { ...otherDetails }, isAdmin });
+      .json("If that account exists, a password reset link has been sent.");
   } catch (err) {
     next(err);
   }
-};
\ No newline at end of file
+};
+
+export const resetPassword = async (req, res, next) => {
+  try {
+    const token = await consumeOneTimeToken(req.body.token, "reset-password");
+    if (!token)
+      return next(createError(400, "Reset link is invalid or has expired!"));
+
+    await updatePassword(token.user, req.body.password);
+    // Any other reset link sent before this one is now stale.
+    await Token.updateMany(
+      { user: token.user, type: "reset-password", usedAt: { $exists: false } },
+      { $set: { usedAt: new Date() } }
+    );
+    clearAuthCookies(res).status(200).json("Your password has been reset. Please log in.");
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Requires the current password. Other devices are signed out; this one gets a
+// fresh session so the user stays logged in.
+export const changePassword = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user.id);
+    if (!user) return next(createError(401, "You are not authenticated!"));
+
+    const isPasswordCorrect = await bcrypt.compare(
+      req.body.currentPassword,
+      user.password
+    );
+    if (!isPasswordCorrect)
+      return next(createError(400, "Current password is wrong!"));
+
+    await updatePassword(user._id, req.body.newPassword);
+    const session = await createSession(user, req);
+    setAuthCookies(res, user, session)
+      .status(200)
+      .json("Your password has been changed.");
+  } catch (err) {
+    next(err);
+  }
+};
@@ -0,0 +1,452 @@
+import Booking, { ACTIVE_BOOKING_STATUSES } from "../models/Booking.js";
+import Hotel from "../models/Hotel.js";
+import Room from "../models/Room.js";
+import Payment from "../models/Payment.js";
+import { ValidationError, createError } from "../utils/error.js";
+import { hasPermission } from "../utils/permissions.js";
+import { releaseRoomNumbers, reserveRoomNumbers } from "./room.js";
+import { createPayment, refundPayment, retryPendingRefunds } from "./payment.js";
+import { getNights, toDay } from "../utils/dates.js";
+import { quoteRoom } from "../utils/pricing.js";
+import { serializeBooking, serializePage, serializePayment } from "../utils/serialize.js";
+import { paginate } from "../utils/paginate.js";
+import { calculateRefund, resolvePolicy } from "../utils/cancellation.js";
+
+const BOOKING_SORTS = {
+  newest: { field: "createdAt", order: -1 },
+  checkIn: { field: "checkIn", order: 1 },
+  price: { field: "totalPrice", order: -1 },
+};
+
+// Read lazily: index.js loads .env after the imports have been evaluated.
+const holdMinutes = () => parseInt(process.env.BOOKING_HOLD_MINUTES) || 10;
+const holdSweepSeconds = () => parseInt(process.env.BOOKING_HOLD_SWEEP_SECONDS) || 60;
+
+// Guests need the matching `:own` permission on their own bookings.
+const isOwnerOrAdmin = (booking, user, permission) =>
+  user.isAdmin ||
+  (booking.user.toString() === user.id && hasPermission(user.role, permission));
+
+// Bookings made before policies were snapshotted fall back to the current ones.
+const policyOf = async (booking) => {
+  if (booking.cancellationPolicy) return booking.cancellationPolicy.toObject();
+  const [hotel, room] = await Promise.all([
+    Hotel.findById(booking.hotel, "cancellationPolicy"),
+    Room.findById(booking.room, "ratePlan.cancellationPolicy"),
+  ]);
+  return resolvePolicy(hotel, room);
+};
+
+// Nothing goes back to the guest before the booking has been paid.
+const refundFor = async (booking, now) => {
+  const refund = calculateRefund(await policyOf(booking), booking, now);
+  return booking.status === "confirmed" ? refund : { ...refund, refundPercent: 0, refundAmount: 0 };
+};
+
+// Loads a booking the current user may cancel, or forwards the reason they can't.
+const findCancellable = async (req, next) => {
+  const booking = await Booking.findById(req.params.id);
+  if (!booking) return next(createError(404, "Booking not found!"));
+  if (!isOwnerOrAdmin(booking, req.user, "booking:cancel:own"))
+    return next(createError(403, "You are not authorized!"));
+  if (booking.status === "expired")
+    return next(createError(409, "The hold on this booking has already expired!"));
+  if (!ACTIVE_BOOKING_STATUSES.includes(booking.status))
+    return next(createError(409, "Booking is already cancelled!"));
+  if (booking.checkOut <= new Date())
+    return next(createError(409, "Past stays can't be cancelled!"));
+  return booking;
+};
+
+// Loads a room type of the hotel with the selected room numbers and its quote, or
+// throws the reason it can't be booked.
+const prepareSelection = async (hotel, { room: roomId, roomNumbers }, checkIn, checkOut) => {
+  if (!hotel.rooms.includes(roomId)) throw createError(404, "Room not found in this hotel!");
+  const room = await Room.findById(roomId);
+  if (!room) throw createError(404, "Room not found!");
+
+  const selected = room.roomNumbers.filter((roomNumber) =>
+    roomNumbers.includes(roomNumber._id.toString())
+  );
+  if (selected.length !== roomNumbers.length)
+    throw createError(400, "Unknown room number selected!");
+
+  const quote = quoteRoom(room, checkIn, checkOut);
+  if (!quote.available) throw createError(409, quote.reason);
+  return { room, selected, roomNumberIds: selected.map((roomNumber) => roomNumber._id), quote };
+};
+
+/**
+* @description This function reserves room numbers of one or more room types of a
+* hotel for the authenticated user, all or nothing. It marks every night of the stay
+* as unavailable on the selected room numbers, stores one pending `Booking` per room
+* type and opens its payment. If any room type can't be reserved, everything already
+* reserved by this request is rolled back. A pending booking is a hold: it is
+* confirmed once the payment succeeds, or expires after `BOOKING_HOLD_MINUTES`
+* (10 by default) and frees its nights.
+* 
+* @param { object } req - The `req` body holds `hotel`, `rooms` (a list of `{ room,
+* roomNumbers }`: a room type id and the ids of its selected room numbers),
+* `checkIn`, `checkOut`, `adults` and `children`. A single room type can also be
+* sent as `room` and `roomNumbers`.
+* 
+* @param { object } res - The `res` parameter returns status 201 with the saved
+* bookings, each with its `payment` (including the `clientSecret` the client pays
+* with). The single room type form returns just that booking.
+* 
+* @param { object } next - The `next` parameter forwards validation and database errors
+* to the error handling middleware.
+*/
+export const createBooking = async (req, res, next) => {
+  const { hotel: hotelId, rooms, room, roomNumbers, checkIn, checkOut, adults = 1, children = 0 } = req.body;
+  const selections = rooms || [{ room, roomNumbers }];
+
+  try {
+    const nights = getNights(checkIn, checkOut);
+    if (!nights.length)
+      return next(createError(400, "Check-out must be after check-in!"));
+
+    const hotel = await Hotel.findById(hotelId);
+    if (!hotel) return next(createError(404, "Hotel not found!"));
+
+    // Everything is checked before the first night is reserved.
+    const prepared = [];
+    for (const selection of selections) {
+      prepared.push(await prepareSelection(hotel, selection, checkIn, checkOut));
+    }
+    const capacity = prepared.reduce((sum, { room, selected }) => sum + room.maxPeople * selected.length, 0);
+    if (adults + children > capacity)
+      return next(
+        new ValidationError(`The selected rooms sleep at most ${capacity} guests!`, {
+          details: { errors: [{ field: "adults", message: `must fit in ${capacity} places` }] },
+        })
+      );
+
+    const reserved = [];
+    const savedBookings = [];
+    try {
+      for (const item of prepared) {
+        await reserveRoomNumbers(item.room._id, item.roomNumberIds, nights);
+        reserved.push(item);
+      }
+      const results = [];
+      for (const { room, selected, quote } of prepared) {
+        const savedBooking = await new Booking({
+          user: req.user.id,
+          hotel: hotel._id,
+          room: room._id,
+          roomNumbers: selected.map(({ _id, number }) => ({ _id, number })),
+          checkIn: nights[0],
+          checkOut: toDay(checkOut),
+          guests: { adults, children },
+          totalPrice: quote.total * selected.length,
+          cancellationPolicy: resolvePolicy(hotel, room),
+          holdExpiresAt: new Date(Date.now() + holdMinutes() * 60 * 1000),
+          history: [{ status: "pending", by: req.user.id }],
+        }).save();
+        savedBookings.push(savedBooking);
+        const payment = await createPayment(savedBooking);
+        results.push({ ...serializeBooking(savedBooking), payment: serializePayment(payment) });
+      }
+      res.status(201).json(rooms ? results : results[0]);
+    } catch (err) {
+      const bookingIds = savedBookings.map((booking) => booking._id);
+      await Payment.deleteMany({ booking: { $in: bookingIds } });
+      await Booking.deleteMany({ _id: { $in: bookingIds } });
+      for (const item of reserved) {
+        await releaseRoomNumbers(item.room._id, item.roomNumberIds, nights);
+      }
+      throw err;
+    }
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+* @description This function lists the bookings of the authenticated user, most recent
+* stay first.
+* 
+* @param { object } req - The `req` parameter provides the authenticated user in `req.user`.
+* 
+* @param { object } res - The `res` parameter returns the list of bookings as JSON.
+* 
+* @param { object } next - The `next` parameter forwards database errors.
+*/
+export const getMyBookings = async (req, res, next) => {
+  try {
+    const bookings = await Booking.find({ user: req.user.id })
+      .populate("hotel", "name city photos")
+      .sort({ checkIn: -1 });
+    res.status(200).json(bookings.map(serializeBooking));
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+* @description This function lists every booking of a hotel. It is meant for admins.
+* 
+* @param { object } req - The `req` parameter carries the hotel id in `req.params.hotelId`.
+* 
+* @param { object } res - The `res` parameter returns the list of bookings as JSON.
+* 
+* @param { object } next - The `next` parameter forwards database errors.
+*/
+export const getHotelBookings = async (req, res, next) => {
+  try {
+    const bookings = await Booking.find({ hotel: req.params.hotelId })
+      .populate("user", "username email")
+      .sort({ checkIn: -1 });
+    res.status(200).json(bookings.map(serializeBooking));
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+* @description This function lists every booking for the admin dashboard, newest
+* first, optionally filtered by `status` and `hotel`.
+* 
+* @param { object } req - The `req` parameter carries the filters and the pagination
+* parameters in `req.query`.
+* 
+* @param { object } res - The `res` parameter returns a page envelope of bookings.
+* 
+* @param { object } next - The `next` parameter forwards database errors.
+*/
+export const getAllBookings = async (req, res, next) => {
+  const filter = {};
+  if (req.query.status) filter.status = String(req.query.status);
+  if (req.query.hotel) filter.hotel = String(req.query.hotel);
+  try {
+    const bookings = await paginate(
+      Booking.find(filter).populate("user", "username email").populate("hotel", "name city"),
+      req.query,
+      { sorts: BOOKING_SORTS, defaultSort: "newest" }
+    );
+    res.status(200).json(serializePage(bookings, serializeBooking));
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+* @description This function returns a single booking. Only the guest who made it and
+* admins may read it.
+* 
+* @param { object } req - The `req` parameter carries the booking id in `req.params.id`.
+* 
+* @param { object } res - The `res` parameter returns the booking as JSON.
+* 
+* @param { object } next - The `next` parameter forwards 404/403 and database errors.
+*/
+export const getBooking = async (req, res, next) => {
+  try {
+    const booking = await Booking.findById(req.params.id).populate("hotel", "name city address photos");
+    if (!booking) return next(createError(404, "Booking not found!"));
+    if (!isOwnerOrAdmin(booking, req.user, "booking:read:own"))
+      return next(createError(403, "You are not authorized!"));
+    res.status(200).json(serializeBooking(booking));
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+* @description This function previews the refund the guest would get by cancelling
+* a booking right now, without cancelling it.
+* 
+* @param { object } req - The `req` parameter carries the booking id in `req.params.id`.
+* 
+* @param { object } res - The `res` parameter returns `{ policy, refundPercent,
+* refundAmount, freeUntil }` as JSON.
+* 
+* @param { object } next - The `next` parameter forwards 404/403/409 and database errors.
+*/
+export const getCancellationQuote = async (req, res, next) => {
+  try {
+    const booking = await findCancellable(req, next);
+    if (!booking) return;
+    res.status(200).json(await refundFor(booking));
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+* @description This function cancels a booking under its cancellation policy. The
+* refund is calculated and stored on the booking, the cancellation is appended to the
+* booking history and its nights are released on the booked room numbers so they can
+* be reserved again. A paid booking gets the refund through its payment provider and
+* ends up `refunded`; an unpaid one just has its payment canceled. If the provider
+* refund fails the cancellation still stands: the response has `refundStatus:
+* "pending"` and the refund is retried in the background.
+* 
+* @param { object } req - The `req` parameter carries the booking id in `req.params.id`.
+* 
+* @param { object } res - The `res` parameter returns the cancelled booking as JSON.
+* 
+* @param { object } next - The `next` parameter forwards 404/403/409 and database errors.
+*/
+export const cancelBooking = async (req, res, next) => {
+  try {
+    const booking = await findCancellable(req, next);
+    if (!booking) return;
+
+    const now = new Date();
+    const refund = await refundFor(booking, now);
+    // Flip the status first so two cancel requests can't both release the nights.
+    const cancelledBooking = await Booking.findOneAndUpdate(
+      { _id: booking._id, status: { $in: ACTIVE_BOOKING_STATUSES } },
+      {
+        $set: {
+          status: "cancelled",
+          cancellation: {
+            cancelledAt: now,
+            cancelledBy: req.user.id,
+            refundPercent: refund.refundPercent,
+            refundAmount: refund.refundAmount,
+          },
+        },
+        $push: {
+          history: {
+            status: "cancelled",
+            at: now,
+            by: req.user.id,
+            note: `Refund ${refund.refundPercent}% (${refund.refundAmount})`,
+          },
+        },
+      },
+      { new: true }
+    );
+    if (!cancelledBooking)
+      return next(createError(409, "Booking is already cancelled!"));
+
+    await releaseRoomNumbers(
+      booking.room,
+      booking.roomNumbers.map((roomNumber) => roomNumber._id),
+      // Stored stays are released whatever their length.
+      getNights(booking.checkIn, booking.checkOut, { maxNights: Infinity })
+    );
+
+    const payment = await refundPayment(cancelledBooking, refund.refundAmount);
+    if (payment?.pendingRefund?.amount) {
+      const pendingBooking = await Booking.findByIdAndUpdate(
+        booking._id,
+        {
+          $push: {
+            history: {
+              status: "cancelled",
+              note: `Refund of ${refund.refundAmount} pending: ${payment.pendingRefund.lastError}`,
+            },
+          },
+        },
+        { new: true }
+      );
+      return res.status(200).json({ ...serializeBooking(pendingBooking), refundStatus: "pending" });
+    }
+    if (booking.status === "confirmed" && refund.refundAmount > 0) {
+      // Bookings confirmed before payments existed have no payment to refund.
+      if (!["refunded", "partially_refunded"].includes(payment?.status)) {
+        const unpaidBooking = await Booking.findByIdAndUpdate(
+          booking._id,
+          {
+            $set: { "cancellation.refundPercent": 0, "cancellation.refundAmount": 0 },
+            $push: { history: { status: "cancelled", note: "No payment on record, nothing refunded" } },
+          },
+          { new: true }
+        );
+        return res.status(200).json(serializeBooking(unpaidBooking));
+      }
+      const refundedBooking = await Booking.findByIdAndUpdate(
+        booking._id,
+        {
+          $set: { status: "refunded" },
+          $push: { history: { status: "refunded", note: `Refunded ${refund.refundAmount}` } },
+        },
+        { new: true }
+      );
+      return res.status(200).json(serializeBooking(refundedBooking));
+    }
+    res.status(200).json(serializeBooking(cancelledBooking));
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+* @description This function expires the pending bookings whose hold ran out: each
+* one is marked `expired` with `releasePending`, its nights are released and its
+* unfinished payment is canceled. A release that fails is retried on the next run;
+* a payment that still succeeds afterwards is refunded automatically.
+* 
+* @param { Date } now - The reference time. Defaults to the current time.
+* 
+* @returns { number } How many holds were released.
+*/
+export const releaseExpiredHolds = async (now = new Date()) => {
+  const expired = await Booking.find({
+    $or: [
+      { status: "pending", holdExpiresAt: { $lte: now } },
+      { status: "expired", releasePending: true },
+    ],
+  });
+  let released = 0;
+  for (const booking of expired) {
+    try {
+      // Only the caller that flips the status releases the nights.
+      const claimed =
+        booking.status === "expired"
+          ? booking
+          : await Booking.findOneAndUpdate(
+              { _id: booking._id, status: "pending" },
+              {
+                $set: { status: "expired", releasePending: true },
+                $push: { history: { status: "expired", at: now, note: "Hold expired before payment" } },
+              },
+              { new: true }
+            );
+      if (!claimed) continue;
+      await releaseRoomNumbers(
+        booking.room,
+        booking.roomNumbers.map((roomNumber) => roomNumber._id),
+        // Stored stays are released whatever their length.
+        getNights(booking.checkIn, booking.checkOut, { maxNights: Infinity })
+      );
+      await Booking.updateOne({ _id: booking._id }, { $unset: { releasePending: 1 } });
+      released++;
+    } catch (err) {
+      console.error(`Releasing the hold of booking ${booking._id} failed:`, err);
+      continue;
+    }
+    // The nights are free either way; a payment that still succeeds is refunded then.
+    try {
+      await refundPayment(booking, 0);
+    } catch (err) {
+      console.error(`Canceling the payment of booking ${booking._id} failed:`, err);
+    }
+  }
+  return released;
+};
+
+// Runs `releaseExpiredHolds`, and `retryPendingRefunds` for cancelled bookings, in the
+// background every `BOOKING_HOLD_SWEEP_SECONDS`.
+export const startHoldSweeper = () => {
+  const timer = setInterval(async () => {
+    try {
+      const released = await releaseExpiredHolds();
+      if (released) console.log(`Released ${released} expired booking hold(s).`);
+    } catch (err) {
+      console.error("Releasing expired booking holds failed:", err);
+    }
+    try {
+      const refunded = await retryPendingRefunds();
+      if (refunded) console.log(`Completed ${refunded} pending refund(s).`);
+    } catch (err) {
+      console.error("Retrying pending refunds failed:", err);
+    }
+  }, holdSweepSeconds() * 1000);
+  timer.unref();
+  return timer;
+};
@@ -0,0 +1,85 @@
+import City from "../models/City.js";
+import Hotel from "../models/Hotel.js";
+import { distanceKm, toPoint } from "../utils/geo.js";
+import { fold } from "../utils/text.js";
+
+// Loads the centre of `city`, matched ignoring case and accents.
+export const findCity = (city) => City.findOne({ key: fold(city) });
+
+/**
+* @description This function works out how far a hotel is from the centre of its
+* city. Hotels without a location, or in cities without a known centre, get none.
+* 
+* @param { object } hotel - The hotel, with `city` and a GeoJSON `location`.
+* 
+* @returns { number } The distance in km, or undefined.
+*/
+export const hotelDistanceKm = async (hotel) => {
+  if (!hotel.location?.coordinates?.length) return undefined;
+  const city = await findCity(hotel.city);
+  return city ? distanceKm(city.center, hotel.location) : undefined;
+};
+
+/**
+* @description This function lists the cities whose centre is known.
+* 
+* @param { object } req - The `req` parameter is not used.
+* 
+* @param { object } res - The `res` parameter returns the cities as JSON, each with
+* its `name` and `center` as `{ lat, lng }`.
+* 
+* @param { object } next - The `next` parameter forwards database errors.
+*/
+export const getCities = async (req, res, next) => {
+  try {
+    const cities = await City.find().sort({ name: 1 });
+    res.status(200).json(
+      cities.map((city) => ({
+        _id: city._id,
+        name: city.name,
+        center: { lat: city.center.coordinates[1], lng: city.center.coordinates[0] },
+      }))
+    );
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+* @description This function sets the centre of a city, creating the city if needed,
+* and recomputes `distanceKm` for every located hotel in it.
+* 
+* @param { object } req - The `req` parameter carries the city name in
+* `req.params.name` and the centre as `lat` and `lng` in the body.
+* 
+* @param { object } res - The `res` parameter returns the city and how many hotels
+* were updated.
+* 
+* @param { object } next - The `next` parameter forwards database errors.
+*/
+export const setCityCenter = async (req, res, next) => {
+  const name = req.params.name.trim();
+  try {
+    const city = await City.findOneAndUpdate(
+      { key: fold(name) },
+      { $set: { name, key: fold(name), center: toPoint(req.body) } },
+      { new: true, upsert: true }
+    );
+
+    const hotels = await Hotel.find({ "location.type": "Point" }, "city location");
+    const inCity = hotels.filter((hotel) => fold(hotel.city) === city.key);
+    if (inCity.length) {
+      await Hotel.bulkWrite(
+        inCity.map((hotel) => ({
+          updateOne: {
+            filter: { _id: hotel._id },
+            update: { $set: { distanceKm: distanceKm(city.center, hotel.location) } },
+          },
+        }))
+      );
+    }
+    res.status(200).json({ name: city.name, center: req.body, hotelsUpdated: inCity.length });
+  } catch (err) {
+    next(err);
+  }
+};
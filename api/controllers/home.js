@@ -0,0 +1,163 @@
+import mongoose from "mongoose";
+import Hotel from "../models/Hotel.js";
+import HomeCollection from "../models/HomeCollection.js";
+import { createError } from "../utils/error.js";
+import { serializeHotel } from "../utils/serialize.js";
+import { fold } from "../utils/text.js";
+import { hotelHighlights } from "./hotel.js";
+
+// Shown until an admin creates the first collection; these are the sections the
+// home page always had.
+const DEFAULT_COLLECTIONS = [
+  { title: "Popular destinations", kind: "destinations", items: [], limit: 3 },
+  { title: "Browse by property type", kind: "types", items: [], limit: 5 },
+  { title: "Home guests love", kind: "hotels", items: [], limit: 4 },
+];
+
+// Pinned entries keep their order, with a count of 0 if no hotel matches them yet.
+const pickGroups = (groups, field, collection) => {
+  if (!collection.items.length) return groups.slice(0, collection.limit);
+  return collection.items.map(({ key, image }) => {
+    const group = groups.find((item) => fold(item[field]) === fold(key));
+    return {
+      [field]: group ? group[field] : key,
+      count: group ? group.count : 0,
+      image: image || group?.image,
+    };
+  });
+};
+
+// Pinned hotels in their order, skipping deleted ones; otherwise the best rated
+// featured hotels.
+const pickHotels = async (collection) => {
+  if (!collection.items.length)
+    return Hotel.find({ featured: true }).sort({ rating: -1, _id: -1 }).limit(collection.limit);
+
+  const ids = collection.items
+    .map((item) => item.key)
+    .filter((key) => mongoose.isValidObjectId(key));
+  const hotels = await Hotel.find({ _id: { $in: ids } });
+  return ids.map((id) => hotels.find((hotel) => hotel._id.equals(id))).filter(Boolean);
+};
+
+/**
+* @description This function builds the home page: every active collection in
+* `position` order with its entries resolved. Destinations and property types come
+* with their number of hotels and an image, all from one aggregation.
+* 
+* @param { object } req - The `req` parameter is not used.
+* 
+* @param { object } res - The `res` parameter returns the sections as JSON, each with
+* `title`, `kind` and `items`.
+* 
+* @param { object } next - The `next` parameter forwards database errors.
+*/
+export const getHome = async (req, res, next) => {
+  try {
+    const configured = await HomeCollection.find().sort({ position: 1, _id: 1 });
+    const collections = configured.length
+      ? configured.filter((collection) => collection.isActive)
+      : DEFAULT_COLLECTIONS;
+    const highlights = await hotelHighlights();
+
+    const sections = await Promise.all(
+      collections.map(async (collection) => ({
+        _id: collection._id,
+        title: collection.title,
+        kind: collection.kind,
+        items:
+          collection.kind === "destinations"
+            ? pickGroups(highlights.destinations, "city", collection)
+            : collection.kind === "types"
+            ? pickGroups(highlights.types, "type", collection)
+            : (await pickHotels(collection)).map((hotel) => serializeHotel(hotel)),
+      }))
+    );
+    res.status(200).json(sections);
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+* @description This function lists every home page collection, inactive ones
+* included, for the admin dashboard.
+* 
+* @param { object } req - The `req` parameter is not used.
+* 
+* @param { object } res - The `res` parameter returns the collections in `position` order.
+* 
+* @param { object } next - The `next` parameter forwards database errors.
+*/
+export const getHomeCollections = async (req, res, next) => {
+  try {
+    const collections = await HomeCollection.find().sort({ position: 1, _id: 1 });
+    res.status(200).json(collections);
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+* @description This function adds a collection to the home page.
+* 
+* @param { object } req - The `req` parameter carries the validated collection in the body.
+* 
+* @param { object } res - The `res` parameter returns the saved collection.
+* 
+* @param { object } next - The `next` parameter forwards validation and database errors.
+*/
+export const createHomeCollection = async (req, res, next) => {
+  try {
+    const collection = await new HomeCollection(req.body).save();
+    res.status(201).json(collection);
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+* @description This function updates a home page collection, for example to pin
+* other entries, reorder it or hide it.
+* 
+* @param { object } req - The `req` parameter carries the collection id in
+* `req.params.id` and the changed fields in the body.
+* 
+* @param { object } res - The `res` parameter returns the updated collection.
+* 
+* @param { object } next - The `next` parameter forwards a 404 when the collection
+* doesn't exist, and database errors.
+*/
+export const updateHomeCollection = async (req, res, next) => {
+  try {
+    const collection = await HomeCollection.findByIdAndUpdate(
+      req.params.id,
+      { $set: req.body },
+      { new: true }
+    );
+    if (!collection) return next(createError(404, "Collection not found!"));
+    res.status(200).json(collection);
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+* @description This function removes a collection from the home page.
+* 
+* @param { object } req - The `req` parameter carries the collection id in `req.params.id`.
+* 
+* @param { object } res - The `res` parameter confirms the deletion.
+* 
+* @param { object } next - The `next` parameter forwards a 404 when the collection
+* doesn't exist, and database errors.
+*/
+export const deleteHomeCollection = async (req, res, next) => {
+  try {
+    const collection = await HomeCollection.findByIdAndDelete(req.params.id);
+    if (!collection) return next(createError(404, "Collection not found!"));
+    res.status(200).json("Collection has been deleted");
+  } catch (err) {
+    next(err);
+  }
+};
@@ -1,5 +1,136 @@
+import mongoose from "mongoose"
 import Hotel from "../models/Hotel.js"
 import Room from "../models/Room.js" 
+import { BadRequestError, createError } from "../utils/error.js"
+import { getNights } from "../utils/dates.js"
+import { quoteRoom } from "../utils/pricing.js"
+import { serializeHotel, serializePage, serializeRoom } from "../utils/serialize.js"
+import { paginate, PAGINATION_PARAMS } from "../utils/paginate.js"
+import { hasUpcomingBookings } from "../utils/references.js"
+import { escapeRegex, fold, fuzzyMatches, tokenize } from "../utils/text.js"
+import { distanceKm, geoFilter, toPoint } from "../utils/geo.js"
+import { hotelDistanceKm } from "./city.js"
+
+const HOTEL_SORTS = {
+  price: { field: "cheapestPrice", order: 1 },
+  rating: { field: "rating", order: -1 },
+  distance: { field: "distanceKm", order: 1 },
+  newest: { field: "_id", order: -1 },
+}
+
+const SEARCH_FIELDS = ["name", "city", "address", "title", "desc"]
+const SUGGESTION_LIMIT = 5
+const MAX_QUERY_LENGTH = 100
+const MAX_QUERY_TERMS = 6
+const VOCABULARY_TTL_MS = 60 * 1000
+
+// Known cities with their hotel counts and the words of hotel names and cities,
+// cached so a search or suggestion doesn't read them from every hotel. Hotel writes
+// drop the cache.
+let vocabularyCache = null
+
+const hotelVocabulary = async () => {
+    if (vocabularyCache && vocabularyCache.expiresAt > Date.now()) return vocabularyCache
+    const [counts, names] = await Promise.all([
+        Hotel.aggregate([{ $group: { _id: "$city", count: { $sum: 1 } } }]),
+        Hotel.distinct("name"),
+    ])
+    const cityCounts = new Map(counts.filter((item) => item._id).map((item) => [item._id, item.count]))
+    const cities = [...cityCounts.keys()]
+    const words = [...new Set([...cities, ...names].flatMap(tokenize))]
+    // Folded word -> the spellings hotels actually use, e.g. "krakow" -> ["Kraków"].
+    const spellings = new Map()
+    words.forEach((word) => spellings.set(fold(word), [...(spellings.get(fold(word)) || []), word]))
+    vocabularyCache = { cities, cityCounts, names, words, spellings, expiresAt: Date.now() + VOCABULARY_TTL_MS }
+    return vocabularyCache
+}
+
+const forgetVocabulary = () => {
+    vocabularyCache = null
+}
+
+const searchText = (q) => {
+    const text = String(q).trim()
+    if (text.length > MAX_QUERY_LENGTH)
+        throw new BadRequestError(`Searches can be at most ${MAX_QUERY_LENGTH} characters!`)
+    return text
+}
+
+// Stores `location` ({ lat, lng } in requests) as GeoJSON and derives `distanceKm`.
+const withLocation = async (hotel, fields) => {
+    if (!fields.location) return fields
+    const location = toPoint(fields.location)
+    return {
+        ...fields,
+        location,
+        distanceKm: await hotelDistanceKm({ city: fields.city || hotel?.city, location }),
+    }
+}
+
+const containing = (value) => new RegExp(escapeRegex(value), "i")
+
+// Multi-select filters arrive as "a,b" or as the same parameter repeated.
+const listOf = (value) =>
+    [].concat(value || []).flatMap((item) => String(item).split(",")).map((item) => item.trim()).filter(Boolean)
+
+const countBy = (field, unwind) => [
+    ...(unwind ? [{ $unwind: `$${field}` }] : []),
+    { $group: { _id: `$${field}`, count: { $sum: 1 } } },
+]
+
+const toCounts = (groups) => Object.fromEntries(groups.map((group) => [group._id, group.count]))
+
+// Counts hotels per property type, amenity and room facility in one aggregation.
+// Amenities and facilities must all match, so they're counted within the current
+// results; types are alternatives, so they're counted as if no type had been picked.
+const facetCounts = async (filter) => {
+    const { type, ...anyType } = filter
+    // Unlike `find`, `aggregate` doesn't cast query strings and ids to schema types.
+    const match = Hotel.find(anyType).cast(Hotel)
+    const ofType = type ? [{ $match: { type } }] : []
+    const [result] = await Hotel.aggregate([
+        { $match: match },
+        {
+            $facet: {
+                type: countBy("type"),
+                amenities: [...ofType, ...countBy("amenities", true)],
+                facilities: [...ofType, ...countBy("roomFacilities", true)],
+            },
+        },
+    ])
+    return {
+        type: toCounts(result.type),
+        amenities: toCounts(result.amenities),
+        facilities: toCounts(result.facilities),
+    }
+}
+
+// City names are matched ignoring case; a typo falls back to the closest known cities.
+const cityFilter = async (city) => {
+    const { cities } = await hotelVocabulary()
+    const name = searchText(city)
+    const exact = cities.filter((known) => fold(known) === fold(name))
+    return { $in: exact.length ? exact : fuzzyMatches(name, cities) }
+}
+
+// Every word of `q` must appear in one of SEARCH_FIELDS, ignoring case. Known words
+// also match their accented spellings ("krakow" finds "Kraków"); other words also
+// match the known words closest to them. Only the first MAX_QUERY_TERMS words count.
+const textConditions = async (q) => {
+    const { words, spellings } = await hotelVocabulary()
+
+    return tokenize(searchText(q)).slice(0, MAX_QUERY_TERMS).map((term) => {
+        const alternatives = [
+            term,
+            ...(spellings.get(fold(term)) || fuzzyMatches(term, words)),
+        ]
+        return {
+            $or: [...new Set(alternatives)].flatMap((word) =>
+                SEARCH_FIELDS.map((field) => ({ [field]: containing(word) }))
+            ),
+        }
+    })
+}
 
 /**
 * @description This function creates a new hotel using the `new Hotel(req.body)`
@@ -24,11 +155,16 @@ import Room from "../models/Room.js"
 */
 export const createHotel = async (req,res,next) => {
 
-    const newHotel = new Hotel(req.body)
-
     try {
+        // Only admins pick the hotels featured on the home page.
+        const { featured, ...body } = req.body
+        const newHotel = new Hotel({
+            ...(await withLocation(null, req.user.isAdmin ? req.body : body)),
+            owner: req.user.isAdmin ? req.body.owner || req.user.id : req.user.id,
+        })
         const savedHotel = await newHotel.save()
-        res.status(200).json(savedHotel)
+        forgetVocabulary()
+        res.status(200).json(serializeHotel(savedHotel, "self"))
     } catch (err) {
         next(err)
     }
@@ -54,16 +190,26 @@ export const createHotel = async (req,res,next) => {
 */
 export const updateHotel = async (req,res,next) => {
     try {
-        const updatedHotel = await Hotel.findByIdAndUpdate(req.params.id, { $set: req.body}, {new:true})
-        res.status(200).json(updatedHotel)
+        const hotel = await Hotel.findById(req.params.id, "city location")
+        if (!hotel) return next(createError(404, "Hotel not found!"))
+        // Only admins can hand a hotel to another owner or feature it.
+        const { owner, featured, ...body } = req.body
+        const fields = await withLocation(hotel, req.user.isAdmin ? req.body : body)
+        // A move to another city changes the distance even when the point doesn't.
+        if (req.body.city && !req.body.location && hotel.location?.coordinates?.length)
+            fields.distanceKm = await hotelDistanceKm({ city: req.body.city, location: hotel.location })
+        const updatedHotel = await Hotel.findByIdAndUpdate(req.params.id, { $set: fields }, {new:true})
+        forgetVocabulary()
+        res.status(200).json(serializeHotel(updatedHotel, "self"))
     } catch (err) {
         next(err)
     }
 }
 /**
 * @description This function deletes a hotel from the database using its ID provided
-* via a URL parameter (`req.params.id`), and returns a success message to the client
-* if the deletion was successful. If an error occurs during the delete operation (e.g.
+* via a URL parameter (`req.params.id`), together with every room that belongs to
+* it. Hotels with upcoming (pending or confirmed) bookings are refused with a 409 so guests
+* never lose a reservation. If an error occurs during the delete operation (e.g.
 * 
 * @param { object } req - The `req` parameter is an object that contains information
 * about the incoming HTTP request.
@@ -79,7 +225,15 @@ export const updateHotel = async (req,res,next) => {
 */
 export const deleteHotel = async (req,res,next) => {
     try {
-        await Hotel.findByIdAndDelete(req.params.id)
+        const hotel = await Hotel.findById(req.params.id)
+        if (!hotel) return next(createError(404, "Hotel not found!"))
+        if (await hasUpcomingBookings({ hotel: hotel._id }))
+            return next(createError(409, "This hotel has upcoming bookings and can't be deleted!"))
+
+        const roomIds = hotel.rooms.filter((id) => mongoose.isValidObjectId(id))
+        await Room.deleteMany({ $or: [{ hotel: hotel._id }, { _id: { $in: roomIds } }] })
+        await Hotel.findByIdAndDelete(hotel._id)
+        forgetVocabulary()
         res.status(200).json("Hotel has been deleted")
     } catch (err) {
         next(err)
@@ -110,14 +264,66 @@ export const getHotel = async (req,res,next) => {
 
     try {
         const hotel = await Hotel.findById(req.params.id)
-        res.status(200).json(hotel)
+        if (!hotel) return next(createError(404, "Hotel not found!"))
+        res.status(200).json(serializeHotel(hotel))
     } catch (err) {
         next(err)
     }
 }
+// Counts the room numbers of each hotel that are free on every night and
+// keeps the hotels whose free rooms can host the party in `roomCount` rooms.
+const getAvailability = async (filter, nights, guests, roomCount) => {
+  const hotels = await Hotel.find(filter, "rooms");
+  const rooms = await Room.find(
+    {
+      _id: {
+        $in: hotels.flatMap((hotel) => hotel.rooms).filter((room) => mongoose.isValidObjectId(room)),
+      },
+    },
+    "maxPeople roomNumbers"
+  );
+  const roomsById = new Map(rooms.map((room) => [room._id.toString(), room]));
+  const nightTimes = nights.map((night) => night.getTime());
+
+  const availability = new Map();
+  hotels.forEach((hotel) => {
+    const capacities = hotel.rooms
+      .map((roomId) => roomsById.get(roomId))
+      .filter(Boolean)
+      .flatMap((room) =>
+        room.roomNumbers
+          .filter((roomNumber) =>
+            !roomNumber.unavailableDates.some((date) => nightTimes.includes(date.getTime()))
+          )
+          .map(() => room.maxPeople)
+      )
+      .sort((a, b) => b - a);
+
+    const capacity = capacities
+      .slice(0, roomCount)
+      .reduce((sum, maxPeople) => sum + maxPeople, 0);
+    if (capacities.length >= roomCount && capacity >= guests) {
+      availability.set(hotel._id.toString(), capacities.length);
+    }
+  });
+  return availability;
+};
+
 /**
 * @description This function retrieves hotels from a database that meet certain price
 * range criteria (min and max prices) and returns them to the client as JSON data.
+* When a `checkIn`/`checkOut` range is given, only hotels with enough free room
+* numbers for the requested `adults`, `children` and `rooms` on every night are
+* returned, each with an `availableRooms` count. `city` matches ignoring case and
+* small typos, and `q` (up to 100 characters, first six words) searches the name,
+* city, address, title and description the same way. `near` ("lat,lng") with `radius` in km keeps the hotels within that
+* circle, each with a `distanceFromSearchKm`, and `bbox` ("minLng,minLat,maxLng,maxLat")
+* the hotels inside that box. `type`, `amenities` and `facilities` (room facilities)
+* take comma-separated lists: any of the types, all of the amenities and facilities.
+* With `facets=true` the response also carries per-value counts under `facets`.
+* Results are paginated with `page`, `pageSize` or `cursor` and ordered by `sort`
+* (price, rating, distance, newest); sorting by distance leaves out hotels without
+* a location.
 * 
 * @param {  } req - In the function `getHotels`, the `req` object provides information
 * from the incoming HTTP request.
@@ -129,22 +335,131 @@ export const getHotel = async (req,res,next) => {
 * is used to pass any errors or exceptions that occur during execution to the next
 * middleware function or the error handling mechanism.
 * 
-* @returns { object } The function `getHotels` returns a promise of an array of Hotel
-* objects that meet the query parameters passed via `req.query`.
+* @returns { object } The function `getHotels` responds with a page envelope whose
+* `data` holds the Hotel objects that meet the query parameters passed via `req.query`.
 */
 export const getHotels = async (req, res, next) => {
-  const { min, max, ...others } = req.query;
+  const { min, max, checkIn, checkOut, adults, children, rooms, q, city, near, radius, bbox, type, amenities, facilities, facets, ...others } = req.query;
+  PAGINATION_PARAMS.forEach((param) => delete others[param]);
+  const filter = {
+    ...others,
+    cheapestPrice: { $gt: min | 1, $lt: max || 999 },
+  };
+  const [types, amenityList, facilityList] = [type, amenities, facilities].map(listOf);
+  if (amenityList.length) filter.amenities = { $all: amenityList };
+  if (facilityList.length) filter.roomFacilities = { $all: facilityList };
+  // Hotels without a location have no distance, and MongoDB sorts missing values first.
+  if (String(req.query.sort || "").replace(/^-/, "") === "distance")
+    filter.distanceKm = { $ne: null };
   try {
-    const hotels = await Hotel.find({
-      ...others,
-      cheapestPrice: { $gt: min | 1, $lt: max || 999 },
-    }).limit(req.query.limit);
-    res.status(200).json(hotels);
+    if (city) filter.city = await cityFilter(String(city));
+    const geo = geoFilter({ near, radius, bbox });
+    const conditions = [...(q ? await textConditions(String(q)) : []), ...geo.conditions];
+    if (conditions.length) filter.$and = conditions;
+
+    const nights = getNights(checkIn, checkOut);
+    if ((checkIn || checkOut) && !nights.length)
+      return next(createError(400, "Check-out must be after check-in!"));
+
+    let availability;
+    if (nights.length) {
+      const guests = (parseInt(adults) || 1) + (parseInt(children) || 0);
+      availability = await getAvailability(filter, nights, guests, parseInt(rooms) || 1);
+      filter._id = { $in: [...availability.keys()] };
+    }
+    // Applied after availability so the type facet can still count the other types.
+    if (types.length) filter.type = { $in: types };
+
+    const result = await paginate(Hotel.find(filter), req.query, {
+      sorts: HOTEL_SORTS,
+      defaultSort: "newest",
+    });
+    if (availability || geo.origin) {
+      result.data = result.data.map((hotel) => ({
+        ...hotel.toObject(),
+        ...(availability && { availableRooms: availability.get(hotel._id.toString()) }),
+        ...(geo.origin &&
+          hotel.location?.coordinates?.length && {
+            distanceFromSearchKm: distanceKm(geo.origin, hotel.location),
+          }),
+      }));
+    }
+    const page = serializePage(result, serializeHotel);
+    if (facets === "true") page.facets = await facetCounts(filter);
+    res.status(200).json(page);
   } catch (err) {
     next(err);
   }
 };
 /**
+* @description This function lists the hotels a manager can edit, for the admin
+* dashboard. Admins see every hotel, managers only their own. Unlike `getHotels` it
+* has no price or availability filter, so hotels without rooms show up too.
+* 
+* @param { object } req - The `req` parameter carries an optional `q` (matched
+* against the name and city) and the pagination parameters in `req.query`.
+* 
+* @param { object } res - The `res` parameter returns a page envelope of hotels,
+* including their `owner`.
+* 
+* @param { object } next - The `next` parameter forwards database errors.
+*/
+export const getManagedHotels = async (req, res, next) => {
+    const filter = req.user.isAdmin ? {} : { owner: req.user.id }
+    if (req.query.q)
+        filter.$or = ["name", "city"].map((field) => ({ [field]: containing(req.query.q) }))
+    try {
+        const hotels = await paginate(Hotel.find(filter), req.query, {
+            sorts: HOTEL_SORTS,
+            defaultSort: "newest",
+        })
+        res.status(200).json(serializePage(hotels, serializeHotel, "admin"))
+    } catch (err) {
+        next(err)
+    }
+}
+/**
+* @description This function suggests destinations while the user types: cities
+* whose name starts with `q` (or nearly does, allowing for typos) with their number
+* of properties, and properties whose name contains `q`.
+* 
+* @param { object } req - The `req` parameter carries the typed text in `req.query.q`.
+* 
+* @param { object } res - The `res` parameter returns `{ cities, hotels }`, at most five
+* of each; both are empty for fewer than two characters.
+* 
+* @param { object } next - The `next` parameter forwards database errors.
+*/
+export const suggest = async (req, res, next) => {
+    try {
+        const q = searchText(req.query.q || "")
+        if (q.length < 2) return res.status(200).json({ cities: [], hotels: [] })
+        const { cities: knownCities, cityCounts, names: hotelNames } = await hotelVocabulary()
+        const cities = fuzzyMatches(q, knownCities, { prefix: true })
+            .slice(0, SUGGESTION_LIMIT)
+            .map((city) => ({ city, count: cityCounts.get(city) }))
+
+        let hotels = await Hotel.find({ name: containing(q) }, "name city photos").limit(SUGGESTION_LIMIT)
+        if (!hotels.length) {
+            const names = fuzzyMatches(q, [...new Set(hotelNames.flatMap(tokenize))])
+            if (names.length)
+                hotels = await Hotel.find({ $or: names.map((name) => ({ name: containing(name) })) }, "name city photos")
+                    .limit(SUGGESTION_LIMIT)
+        }
+        res.status(200).json({
+            cities,
+            hotels: hotels.map((hotel) => ({
+                _id: hotel._id,
+                name: hotel.name,
+                city: hotel.city,
+                photo: hotel.photos?.[0],
+            })),
+        })
+    } catch (err) {
+        next(err)
+    }
+}
+/**
 * @description This function counts the documents of a hotel collection using the
 * city as a filter. It takes three arguments: `req`, `res`, and `next`.
 * 
@@ -174,10 +489,65 @@ export const countByCity = async (req, res, next) => {
     }
   };
 
+// Groups hotels by `field`, most hotels first. Each group's image is the first photo
+// of its best rated hotel that has one.
+const groupWithImage = (field, limit) => [
+    { $group: { _id: `$${field}`, count: { $sum: 1 }, image: { $first: "$photo" } } },
+    { $sort: { count: -1, _id: 1 } },
+    ...(limit ? [{ $limit: limit }] : []),
+]
+
+/**
+* @description This function counts hotels per destination and per property type in
+* a single `$facet` aggregation, each group with a representative image. It backs
+* `getHighlights`, `countByType` and the home page collections.
+* 
+* @param { number } limit - How many destinations and types to keep; all when omitted.
+* 
+* @returns { object } `{ destinations: [{ city, count, image }], types: [{ type, count, image }] }`.
+*/
+export const hotelHighlights = async (limit) => {
+    const [result] = await Hotel.aggregate([
+        { $addFields: { photo: { $arrayElemAt: ["$photos", 0] } } },
+        { $addFields: { hasPhoto: { $cond: [{ $ifNull: ["$photo", false] }, 1, 0] } } },
+        { $sort: { hasPhoto: -1, rating: -1, reviewCount: -1 } },
+        {
+            $facet: {
+                destinations: groupWithImage("city", limit),
+                types: groupWithImage("type", limit),
+            },
+        },
+    ])
+    return {
+        destinations: result.destinations.map(({ _id, count, image }) => ({ city: _id, count, image })),
+        types: result.types.map(({ _id, count, image }) => ({ type: _id, count, image })),
+    }
+}
+/**
+* @description This function returns the top destinations and property types, each
+* with its number of hotels and an image, for the home page.
+* 
+* @param { object } req - The `req` parameter may carry a `limit` query parameter
+* (default 5, at most 20).
+* 
+* @param { object } res - The `res` parameter returns the output of `hotelHighlights`.
+* 
+* @param { object } next - The `next` parameter forwards database errors.
+*/
+export const getHighlights = async (req, res, next) => {
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 5, 1), 20)
+    try {
+        res.status(200).json(await hotelHighlights(limit))
+    } catch (err) {
+        next(err)
+    }
+}
+
 /**
 * @description This function counts the documents of different types ("hotel",
-* "apartment", "resort", "villa", and "cabin") using MongoDB's `countDocuments`
-* method and returns a JSON object with the count of each type.
+* "apartment", "resort", "villa", and "cabin") with one aggregation and returns a
+* JSON object with the count of each type. It keeps the response older clients
+* expect; new code should use `getHighlights`.
 * 
 * @param { object } req - The `req` input parameter is not used at all within the
 * scope of the given function.
@@ -202,18 +572,15 @@ export const countByCity = async (req, res, next) => {
 export const countByType = async (req, res, next) => {
   
   try {
-      const hotelCount = await Hotel.countDocuments({type:"hotel"})
-      const apartmentCount = await Hotel.countDocuments({type:"apartment"})
-      const resortCount = await Hotel.countDocuments({type:"resort"})
-      const villaCount = await Hotel.countDocuments({type:"villa"})
-      const cabinCount = await Hotel.countDocuments({type:"cabin"})
-      
+      const { types } = await hotelHighlights()
+      const countOf = (type) => types.find((item) => item.type === type)?.count || 0
+
       res.status(200).json([
-        {type: "hotel", count: hotelCount},
-        {type: "apartments", count: apartmentCount},
-        {type: "resorts", count: resortCount},
-        {type: "villas", count: villaCount},
-        {type: "cabins", count: cabinCount},
+        {type: "hotel", count: countOf("hotel")},
+        {type: "apartments", count: countOf("apartment")},
+        {type: "resorts", count: countOf("resort")},
+        {type: "villas", count: countOf("villa")},
+        {type: "cabins", count: countOf("cabin")},
       ]);
       
     } catch (err) {
@@ -242,11 +609,54 @@ export const countByType = async (req, res, next) => {
   export const getHotelRooms = async (req,res,next) => {
     try {
       const hotel = await Hotel.findById(req.params.id)
-      const list = await  Promise.all(hotel.rooms.map(room => {
-        return Room.findById(room)
-      }))
-      res.status(200).json(list)
+      if (!hotel) return next(createError(404, "Hotel not found!"))
+
+      // Ids of deleted rooms (or junk ids) are skipped instead of failing the request.
+      const rooms = await Room.find({
+        _id: { $in: hotel.rooms.filter((room) => mongoose.isValidObjectId(room)) },
+      })
+      const roomsById = new Map(rooms.map((room) => [room._id.toString(), room]))
+      const list = hotel.rooms.map((room) => roomsById.get(room)).filter(Boolean)
+      res.status(200).json(list.map(serializeRoom))
     } catch (error) {
       next(error)
     }
   }
+
+/**
+* @description This function quotes a stay at a hotel for every room type it offers
+* and points out the cheapest bookable one, so the hotel page can show the real
+* total instead of multiplying `cheapestPrice` by the number of nights.
+* 
+* @param { object } req - The `req` parameter carries the hotel id in `req.params.id`
+* and `checkIn`, `checkOut` and `rooms` in `req.query`.
+* 
+* @param { object } res - The `res` parameter returns `{ rooms, cheapest }` where each
+* room quote comes from `quoteRoom` and `cheapest.total` covers all requested rooms.
+* 
+* @param { object } next - The `next` parameter forwards 400/404 and database errors.
+*/
+export const getHotelQuote = async (req, res, next) => {
+  const { checkIn, checkOut, rooms } = req.query;
+  try {
+    if (!getNights(checkIn, checkOut).length)
+      return next(createError(400, "Check-out must be after check-in!"));
+    const hotel = await Hotel.findById(req.params.id)
+    if (!hotel) return next(createError(404, "Hotel not found!"));
+
+    const roomTypes = await Room.find({
+      _id: { $in: hotel.rooms.filter((room) => mongoose.isValidObjectId(room)) },
+    });
+    const quotes = roomTypes.map((room) => quoteRoom(room, checkIn, checkOut));
+    const cheapest = quotes
+      .filter((quote) => quote.available)
+      .sort((a, b) => a.total - b.total)[0];
+
+    res.status(200).json({
+      rooms: quotes,
+      cheapest: cheapest ? { ...cheapest, rooms, total: cheapest.total * rooms } : null,
+    });
+  } catch (err) {
+    next(err);
+  }
+};
@@ -0,0 +1,269 @@
+import Booking from "../models/Booking.js";
+import Payment from "../models/Payment.js";
+import { BadRequestError, ConflictError, PaymentError, createError } from "../utils/error.js";
+import {
+  WebhookSignatureError,
+  fromMinorUnits,
+  paymentCurrency,
+  paymentProvider,
+  providerName,
+  toMinorUnits,
+} from "../utils/payments.js";
+import { serializeBooking, serializePayment } from "../utils/serialize.js";
+
+/**
+* @description This function opens a payment for a freshly created booking with the
+* configured provider and stores it as a `Payment`.
+* 
+* @param { object } booking - The saved booking; its `totalPrice` is charged.
+* 
+* @returns { object } The saved payment, whose `clientSecret` the client needs to pay.
+*/
+export const createPayment = async (booking) => {
+  const provider = providerName();
+  const currency = paymentCurrency();
+  const intent = await paymentProvider(provider).createIntent({
+    amount: toMinorUnits(booking.totalPrice),
+    currency,
+    metadata: { booking: booking._id.toString() },
+  });
+  return new Payment({
+    booking: booking._id,
+    user: booking.user,
+    provider,
+    intentId: intent.id,
+    clientSecret: intent.clientSecret,
+    amount: booking.totalPrice,
+    currency,
+    status: intent.status,
+  }).save();
+};
+
+const markFailed = (payment, failureReason) =>
+  Payment.findOneAndUpdate(
+    { _id: payment._id, status: { $in: ["requires_confirmation", "failed"] } },
+    { $set: { status: "failed", failureReason } },
+    { new: true }
+  );
+
+// Stores a refund once, however many times the provider reports it.
+const markRefunded = async (payment, refund) => {
+  const updated = await Payment.findOneAndUpdate(
+    { _id: payment._id, "refunds.id": { $ne: refund.id } },
+    { $push: { refunds: { id: refund.id, amount: refund.amount } }, $inc: { refundedAmount: refund.amount } },
+    { new: true }
+  );
+  if (!updated) return Payment.findById(payment._id);
+  updated.status = updated.refundedAmount >= updated.amount ? "refunded" : "partially_refunded";
+  return updated.save();
+};
+
+const refundWithProvider = async (payment, amount) => {
+  const refund = await paymentProvider(payment.provider).refund(payment.intentId, {
+    amount: toMinorUnits(amount),
+  });
+  return markRefunded(payment, { id: refund.id, amount });
+};
+
+// Confirms the booking a payment belongs to. A booking that was cancelled while
+// the payment was in flight gets its money back instead.
+const markSucceeded = async (payment) => {
+  const updated = await Payment.findOneAndUpdate(
+    { _id: payment._id, status: { $in: ["requires_confirmation", "failed", "canceled"] } },
+    { $set: { status: "succeeded" }, $unset: { failureReason: 1 } },
+    { new: true }
+  );
+  if (!updated) return Payment.findById(payment._id);
+
+  const booking = await Booking.findOneAndUpdate(
+    { _id: payment.booking, status: "pending" },
+    {
+      $set: { status: "confirmed" },
+      $unset: { holdExpiresAt: 1 },
+      $push: { history: { status: "confirmed", note: `Paid ${payment.amount} ${payment.currency}` } },
+    },
+    { new: true }
+  );
+  if (!booking) return refundWithProvider(updated, updated.amount);
+  return updated;
+};
+
+/**
+* @description This function settles the payment of a booking that is being
+* cancelled. A paid booking is refunded `amount` through its provider; a payment that
+* was never completed is marked as canceled. When the provider refund fails it is
+* stored as `pendingRefund` for `retryPendingRefunds` instead of being lost.
+* 
+* @param { object } booking - The cancelled booking.
+* 
+* @param { number } amount - How much to give back, in the booking's units.
+* 
+* @returns { object } The updated payment, or null when the booking has none.
+*/
+export const refundPayment = async (booking, amount) => {
+  const payment = await Payment.findOne({ booking: booking._id });
+  if (!payment) return null;
+  if (["requires_confirmation", "failed"].includes(payment.status)) {
+    payment.status = "canceled";
+    return payment.save();
+  }
+  if (payment.status !== "succeeded" || amount <= 0) return payment;
+  try {
+    return await refundWithProvider(payment, amount);
+  } catch (err) {
+    return Payment.findByIdAndUpdate(
+      payment._id,
+      {
+        $set: {
+          pendingRefund: { amount, requestedAt: new Date(), attempts: 1, lastError: err.message },
+        },
+      },
+      { new: true }
+    );
+  }
+};
+
+/**
+* @description This function retries the refunds the provider failed to make when a
+* booking was cancelled. Once a refund goes through, the booking becomes `refunded`.
+* 
+* @returns { number } How many refunds went through.
+*/
+export const retryPendingRefunds = async () => {
+  const payments = await Payment.find({ "pendingRefund.amount": { $gt: 0 } });
+  let refunded = 0;
+  for (const payment of payments) {
+    const { amount } = payment.pendingRefund;
+    try {
+      await refundWithProvider(payment, amount);
+    } catch (err) {
+      await Payment.updateOne(
+        { _id: payment._id },
+        { $inc: { "pendingRefund.attempts": 1 }, $set: { "pendingRefund.lastError": err.message } }
+      );
+      continue;
+    }
+    await Payment.updateOne({ _id: payment._id }, { $unset: { pendingRefund: 1 } });
+    await Booking.updateOne(
+      { _id: payment.booking, status: "cancelled" },
+      {
+        $set: { status: "refunded" },
+        $push: { history: { status: "refunded", note: `Refunded ${amount}` } },
+      }
+    );
+    refunded++;
+  }
+  return refunded;
+};
+
+const findOwnPayment = async (req, next, filter) => {
+  const payment = await Payment.findOne(filter);
+  if (!payment) return next(createError(404, "Payment not found!"));
+  if (payment.user.toString() !== req.user.id && !req.user.isAdmin)
+    return next(createError(403, "You are not authorized!"));
+  return payment;
+};
+
+/**
+* @description This function returns the payment of a booking, so the client can
+* resume paying for a pending booking.
+* 
+* @param { object } req - The `req` parameter carries the booking id in
+* `req.params.bookingId`.
+* 
+* @param { object } res - The `res` parameter returns the payment as JSON.
+* 
+* @param { object } next - The `next` parameter forwards 404/403 and database errors.
+*/
+export const getBookingPayment = async (req, res, next) => {
+  try {
+    const payment = await findOwnPayment(req, next, { booking: req.params.bookingId });
+    if (!payment) return;
+    res.status(200).json(serializePayment(payment));
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+* @description This function pays a pending booking: the payment is confirmed with
+* the provider using the `paymentMethod` in the body, and the booking moves from
+* pending to confirmed. A declined payment answers 402 and can be retried while the
+* booking's hold lasts.
+* 
+* @param { object } req - The `req` parameter carries the payment id in `req.params.id`
+* and the `paymentMethod` in the body.
+* 
+* @param { object } res - The `res` parameter returns `{ payment, booking }` as JSON.
+* 
+* @param { object } next - The `next` parameter forwards 402/404/403/409 and database errors.
+*/
+export const confirmPayment = async (req, res, next) => {
+  try {
+    const payment = await findOwnPayment(req, next, { _id: req.params.id });
+    if (!payment) return;
+    if (!["requires_confirmation", "failed"].includes(payment.status))
+      return next(createError(409, "This payment can't be confirmed anymore!"));
+    const booking = await Booking.findById(payment.booking, "status holdExpiresAt");
+    if (booking?.status !== "pending")
+      return next(createError(409, "This booking is no longer awaiting payment!"));
+    if (booking.holdExpiresAt && booking.holdExpiresAt <= new Date())
+      return next(
+        new ConflictError("Your hold on these rooms has expired, please reserve again!", {
+          code: "HOLD_EXPIRED",
+        })
+      );
+
+    const result = await paymentProvider(payment.provider).confirmIntent(payment.intentId, {
+      paymentMethod: req.body.paymentMethod,
+    });
+    if (result.status !== "succeeded") {
+      await markFailed(payment, result.failureReason);
+      return next(new PaymentError(result.failureReason || "Payment failed!"));
+    }
+
+    const updated = await markSucceeded(payment);
+    res.status(200).json({
+      payment: serializePayment(updated),
+      booking: serializeBooking(await Booking.findById(payment.booking)),
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+* @description This function receives the events the payment provider sends about
+* payments made outside of `confirmPayment` (e.g. after a 3-D Secure check) and about
+* refunds. The signature is checked against the raw request body; events for
+* unknown payments are acknowledged and ignored.
+* 
+* @param { object } req - The `req` parameter carries the raw body in `req.rawBody`.
+* 
+* @param { object } res - The `res` parameter acknowledges the event with `{ received: true }`.
+* 
+* @param { object } next - The `next` parameter forwards 400 for bad signatures.
+*/
+export const handleWebhook = async (req, res, next) => {
+  try {
+    let event;
+    try {
+      event = paymentProvider().parseWebhook(req.rawBody || "", req.headers);
+    } catch (err) {
+      if (err instanceof WebhookSignatureError || err instanceof SyntaxError)
+        return next(new BadRequestError(err.message, { code: "INVALID_SIGNATURE" }));
+      throw err;
+    }
+
+    const payment = await Payment.findOne({ intentId: event.intentId });
+    if (payment) {
+      if (event.type === "payment.succeeded") await markSucceeded(payment);
+      else if (event.type === "payment.failed") await markFailed(payment, event.failureReason);
+      else if (event.type === "refund.succeeded")
+        await markRefunded(payment, { id: event.id, amount: fromMinorUnits(event.amount) });
+    }
+    res.status(200).json({ received: true });
+  } catch (err) {
+    next(err);
+  }
+};
@@ -0,0 +1,197 @@
+import mongoose from "mongoose";
+import Booking from "../models/Booking.js";
+import Hotel from "../models/Hotel.js";
+import Review from "../models/Review.js";
+import { createError } from "../utils/error.js";
+import { paginate } from "../utils/paginate.js";
+import { hasPermission } from "../utils/permissions.js";
+import { serializePage, serializeReview } from "../utils/serialize.js";
+
+const REVIEW_SORTS = {
+  newest: { field: "createdAt", order: -1 },
+  rating: { field: "rating", order: -1 },
+};
+
+const round = (value) => Math.round(value * 10) / 10;
+
+// Recomputes the hotel's rating, review count and score breakdown from its
+// published reviews.
+const updateHotelRating = async (hotelId) => {
+  const [stats] = await Review.aggregate([
+    { $match: { hotel: new mongoose.Types.ObjectId(hotelId), status: "published" } },
+    {
+      $group: {
+        _id: null,
+        rating: { $avg: "$rating" },
+        reviewCount: { $sum: 1 },
+        cleanliness: { $avg: "$scores.cleanliness" },
+        location: { $avg: "$scores.location" },
+        staff: { $avg: "$scores.staff" },
+        value: { $avg: "$scores.value" },
+      },
+    },
+  ]);
+
+  if (!stats) {
+    await Hotel.findByIdAndUpdate(hotelId, {
+      $set: { reviewCount: 0 },
+      $unset: { rating: "", ratingBreakdown: "" },
+    });
+    return;
+  }
+
+  await Hotel.findByIdAndUpdate(hotelId, {
+    $set: {
+      rating: round(stats.rating),
+      reviewCount: stats.reviewCount,
+      ratingBreakdown: {
+        cleanliness: round(stats.cleanliness),
+        location: round(stats.location),
+        staff: round(stats.staff),
+        value: round(stats.value),
+      },
+    },
+  });
+};
+
+/**
+* @description This function posts a review for a completed stay. The booking must
+* belong to the authenticated user, must be confirmed and its check-out date
+* must have passed. Each booking can be reviewed once.
+* 
+* @param { object } req - The `req` body holds the `booking` id, the `scores`
+* (cleanliness, location, staff and value from 1 to 5) and the review `text`.
+* 
+* @param { object } res - The `res` parameter returns the saved review with status 201.
+* 
+* @param { object } next - The `next` parameter forwards 404/403/409 and database errors.
+*/
+export const createReview = async (req, res, next) => {
+  try {
+    const booking = await Booking.findById(req.body.booking);
+    if (!booking) return next(createError(404, "Booking not found!"));
+    if (booking.user.toString() !== req.user.id)
+      return next(createError(403, "You can only review your own stays!"));
+    if (booking.status !== "confirmed" || booking.checkOut > new Date())
+      return next(createError(409, "You can review a stay once it is completed!"));
+    if (await Review.exists({ booking: booking._id }))
+      return next(createError(409, "This stay has already been reviewed!"));
+
+    const newReview = new Review({
+      ...req.body,
+      hotel: booking.hotel,
+      user: req.user.id,
+    });
+    const savedReview = await newReview.save();
+    await updateHotelRating(booking.hotel);
+    res.status(201).json(serializeReview(savedReview));
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+* @description This function lists the published reviews of a hotel, newest first
+* unless another `sort` is requested.
+* 
+* @param { object } req - The `req` parameter carries the hotel id in
+* `req.params.hotelId` and the pagination parameters in `req.query`.
+* 
+* @param { object } res - The `res` parameter returns a page envelope of reviews.
+* 
+* @param { object } next - The `next` parameter forwards database errors.
+*/
+export const getHotelReviews = async (req, res, next) => {
+  try {
+    const reviews = await paginate(
+      Review.find({ hotel: req.params.hotelId, status: "published" }).populate("user", "username"),
+      req.query,
+      { sorts: REVIEW_SORTS, defaultSort: "newest" }
+    );
+    res.status(200).json(serializePage(reviews, serializeReview));
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+* @description This function lists every review, optionally filtered by `status`, so
+* admins can moderate them.
+* 
+* @param { object } req - The `req` parameter carries `status` and the pagination
+* parameters in `req.query`.
+* 
+* @param { object } res - The `res` parameter returns a page envelope of reviews.
+* 
+* @param { object } next - The `next` parameter forwards database errors.
+*/
+export const getReviews = async (req, res, next) => {
+  const filter = req.query.status ? { status: String(req.query.status) } : {};
+  try {
+    const reviews = await paginate(
+      Review.find(filter).populate("user", "username").populate("hotel", "name"),
+      req.query,
+      { sorts: REVIEW_SORTS, defaultSort: "newest" }
+    );
+    res.status(200).json(serializePage(reviews, serializeReview));
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+* @description This function publishes or hides a review and recomputes the rating
+* of its hotel.
+* 
+* @param { object } req - The `req` parameter carries the review id in `req.params.id`
+* and the new `status` in the body.
+* 
+* @param { object } res - The `res` parameter returns the updated review.
+* 
+* @param { object } next - The `next` parameter forwards 404 and database errors.
+*/
+export const moderateReview = async (req, res, next) => {
+  try {
+    const review = await Review.findByIdAndUpdate(
+      req.params.id,
+      { $set: { status: req.body.status } },
+      { new: true }
+    );
+    if (!review) return next(createError(404, "Review not found!"));
+    await updateHotelRating(review.hotel);
+    res.status(200).json(serializeReview(review));
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+* @description This function stores the hotel's public reply to a review. Admins can
+* reply to any review, managers only to reviews of hotels they own.
+* 
+* @param { object } req - The `req` parameter carries the review id in `req.params.id`
+* and the reply `text` in the body.
+* 
+* @param { object } res - The `res` parameter returns the updated review.
+* 
+* @param { object } next - The `next` parameter forwards 404/403 and database errors.
+*/
+export const replyToReview = async (req, res, next) => {
+  try {
+    const review = await Review.findById(req.params.id);
+    if (!review) return next(createError(404, "Review not found!"));
+
+    if (!req.user.isAdmin) {
+      const hotel = await Hotel.findById(review.hotel, "owner");
+      const ownsHotel = hotel?.owner && hotel.owner.toString() === req.user.id;
+      if (!hasPermission(req.user.role, "review:reply:own") || !ownsHotel)
+        return next(createError(403, "You are not authorized!"));
+    }
+
+    review.reply = { text: req.body.text, author: req.user.id, repliedAt: new Date() };
+    const savedReview = await review.save();
+    res.status(200).json(serializeReview(savedReview));
+  } catch (err) {
+    next(err);
+  }
+};
@@ -1,9 +1,27 @@
 import Room from "../models/Room.js";
 import Hotel from "../models/Hotel.js"; 
+import { ConflictError, createError } from "../utils/error.js";
+import { paginate } from "../utils/paginate.js";
+import { quoteRoom } from "../utils/pricing.js";
+import { syncHotelPrices } from "../utils/hotelPrices.js";
+import { serializePage, serializeRoom } from "../utils/serialize.js";
+import { hasUpcomingBookings, hotelOfRoom } from "../utils/references.js";
+import { getNights, toDay } from "../utils/dates.js";
+
+// Matches room numbers with no night reserved from today on. Nights are written to
+// `unavailableDates` before the booking is saved, so removals made conditional on
+// this can't race a reservation.
+const noUpcomingNights = () => ({ $not: { $gte: toDay(new Date()) } });
+
+const ROOM_SORTS = {
+  price: { field: "price", order: 1 },
+  newest: { field: "createdAt", order: -1 },
+};
 
 /**
 * @description This function creates a new room based on the incoming request body
-* and saves it to the database.
+* and saves it to the database, linked to the hotel in `req.params.hotelid`. The
+* hotel must exist, otherwise nothing is saved and a 404 is returned.
 * 
 * @param { object } req - The `req` input parameter is used to access the request
 * data sent by the client. It contains information such as headers and body parameters.
@@ -17,23 +35,31 @@ import Hotel from "../models/Hotel.js";
 */
 export const createRoom = async (req, res, next) => {
   const hotelId = req.params.hotelid;
-  const newRoom = new Room(req.body);
 
   try {
+    const hotel = await Hotel.findById(hotelId, "_id");
+    if (!hotel) return next(createError(404, "Hotel not found!"));
+
+    const newRoom = new Room({ ...req.body, hotel: hotel._id });
     const savedRoom = await newRoom.save();
-    try {
-      await Hotel.findByIdAndUpdate(hotelId, {
-        $push: { rooms: savedRoom._id },
-      });
-    } catch (error) {
-      next(error);
-    }
-    res.status(200).json(savedRoom);
+    await Hotel.findByIdAndUpdate(hotelId, {
+      $push: { rooms: savedRoom._id },
+    });
+    await syncHotelPrices(hotelId);
+    res.status(200).json(serializeRoom(savedRoom));
   } catch (error) {
     next(error);
   }
 };
 
+// A partial rate plan only replaces the fields it carries, so sending the weekend
+// price alone keeps the room's seasons and overrides.
+const roomUpdate = ({ ratePlan, ...body }) => ({
+  ...body,
+  ...(ratePlan &&
+    Object.fromEntries(Object.entries(ratePlan).map(([field, value]) => [`ratePlan.${field}`, value]))),
+});
+
 /**
 * @description This function updates a single room document by ID using the
 * `findByIdAndUpdate` method provided by Mongoose. It accepts a `req` object containing
@@ -53,16 +79,21 @@ export const updateRoom = async (req, res, next) => {
   try {
     const updatedRoom = await Room.findByIdAndUpdate(
       req.params.id,
-      { $set: req.body },
+      { $set: roomUpdate(req.body) },
       { new: true }
     );
-    res.status(200).json(updatedRoom);
+    if (!updatedRoom) return next(createError(404, "Room not found!"));
+    const hotel = await hotelOfRoom(updatedRoom, "_id");
+    if (hotel) await syncHotelPrices(hotel._id);
+    res.status(200).json(serializeRoom(updatedRoom));
   } catch (err) {
     next(err);
   }
 };
 /**
-* @description This function deletes a room from the database.
+* @description This function deletes a room from the database and removes it from
+* the hotel it belongs to, whose price summary is then recomputed. Rooms with
+* upcoming (pending or confirmed) bookings are refused with a 409.
 * 
 * @param { object } req - The `req` parameter is an instance of the Request object
 * that contains information about the incoming HTTP request.
@@ -75,15 +106,24 @@ export const updateRoom = async (req, res, next) => {
 * the `try` block.
 */
 export const deleteRoom = async (req, res, next) => {
-  const hotelId = req.params.hotelid;
   try {
-    await Room.findByIdAndDelete(req.params.id);
-    try {
-      await Hotel.findByIdAndUpdate(hotelId, {
-        $pull: { rooms: req.params.id },
+    const room = await Room.findById(req.params.id);
+    if (!room) return next(createError(404, "Room not found!"));
+    if (await hasUpcomingBookings({ room: room._id }))
+      return next(createError(409, "This room has upcoming bookings and can't be deleted!"));
+
+    const hotel = await hotelOfRoom(room, "_id");
+    const { deletedCount } = await Room.deleteOne({
+      _id: room._id,
+      "roomNumbers.unavailableDates": noUpcomingNights(),
+    });
+    if (!deletedCount)
+      return next(createError(409, "This room has upcoming bookings and can't be deleted!"));
+    if (hotel) {
+      await Hotel.findByIdAndUpdate(hotel._id, {
+        $pull: { rooms: room._id.toString() },
       });
-    } catch (error) {
-      next(error);
+      await syncHotelPrices(hotel._id);
     }
     res.status(200).json("Room has been deleted");
   } catch (err) {
@@ -110,14 +150,40 @@ export const deleteRoom = async (req, res, next) => {
 export const getRoom = async (req, res, next) => {
   try {
     const room = await Room.findById(req.params.id);
-    res.status(200).json(room);
+    if (!room) return next(createError(404, "Room not found!"));
+    res.status(200).json(serializeRoom(room));
+  } catch (err) {
+    next(err);
+  }
+};
+/**
+* @description This function prices a stay in one room of this type night by night,
+* applying the room's rate plan, and multiplies it by the number of rooms requested.
+* 
+* @param { object } req - The `req` parameter carries the room id in `req.params.id`
+* and `checkIn`, `checkOut` and `rooms` in `req.query`.
+* 
+* @param { object } res - The `res` parameter returns the quote as JSON.
+* 
+* @param {  } next - The `next` parameter forwards 400/404 and database errors.
+*/
+export const getRoomQuote = async (req, res, next) => {
+  const { checkIn, checkOut, rooms } = req.query;
+  try {
+    if (!getNights(checkIn, checkOut).length)
+      return next(createError(400, "Check-out must be after check-in!"));
+    const room = await Room.findById(req.params.id);
+    if (!room) return next(createError(404, "Room not found!"));
+
+    const quote = quoteRoom(room, checkIn, checkOut);
+    res.status(200).json({ ...quote, rooms, total: quote.total * rooms });
   } catch (err) {
     next(err);
   }
 };
 /**
-* @description This function fetches all the rooms from the database and returns
-* them to the client as a JSON object with a status code of 200.
+* @description This function fetches the rooms from the database one page at a time
+* and returns them to the client in a page envelope with a status code of 200.
 * 
 * @param { object } req - The `req` parameter is used to access the HTTP request
 * object that triggered the function.
@@ -131,9 +197,150 @@ export const getRoom = async (req, res, next) => {
 */
 export const getRooms = async (req, res, next) => {
   try {
-    const rooms = await Room.find();
-    res.status(200).json(rooms);
+    const rooms = await paginate(Room.find(), req.query, {
+      sorts: ROOM_SORTS,
+      defaultSort: "newest",
+    });
+    res.status(200).json(serializePage(rooms, serializeRoom));
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+* @description This function adds a room number to a room type. Numbers are unique
+* within a room type.
+* 
+* @param { object } req - The `req` parameter carries the room id in `req.params.id`
+* and the new `number` in the body.
+* 
+* @param { object } res - The `res` parameter returns the updated room as JSON.
+* 
+* @param {  } next - The `next` parameter forwards 404/409 and database errors.
+*/
+export const addRoomNumber = async (req, res, next) => {
+  try {
+    const updatedRoom = await Room.findOneAndUpdate(
+      { _id: req.params.id, "roomNumbers.number": { $ne: req.body.number } },
+      { $push: { roomNumbers: { number: req.body.number, unavailableDates: [] } } },
+      { new: true }
+    );
+    if (updatedRoom) return res.status(200).json(serializeRoom(updatedRoom));
+    if (!(await Room.exists({ _id: req.params.id })))
+      return next(createError(404, "Room not found!"));
+    next(createError(409, `Room number ${req.body.number} already exists!`));
+  } catch (err) {
+    next(err);
+  }
+};
+/**
+* @description This function removes a room number from a room type. Room numbers
+* with upcoming (pending or confirmed) bookings are refused with a 409.
+* 
+* @param { object } req - The `req` parameter carries the room id in `req.params.id`
+* and the room number id in `req.params.numberId`.
+* 
+* @param { object } res - The `res` parameter returns the updated room as JSON.
+* 
+* @param {  } next - The `next` parameter forwards 404/409 and database errors.
+*/
+export const removeRoomNumber = async (req, res, next) => {
+  const { id, numberId } = req.params;
+  try {
+    if (await hasUpcomingBookings({ room: id, "roomNumbers._id": numberId }))
+      return next(createError(409, "This room number has upcoming bookings and can't be removed!"));
+    const updatedRoom = await Room.findOneAndUpdate(
+      { _id: id, roomNumbers: { $elemMatch: { _id: numberId, unavailableDates: noUpcomingNights() } } },
+      { $pull: { roomNumbers: { _id: numberId } } },
+      { new: true }
+    );
+    if (updatedRoom) return res.status(200).json(serializeRoom(updatedRoom));
+    if (!(await Room.exists({ _id: id, "roomNumbers._id": numberId })))
+      return next(createError(404, "Room number not found!"));
+    next(createError(409, "This room number has upcoming bookings and can't be removed!"));
   } catch (err) {
     next(err);
   }
 };
+
+/**
+* @description This function reserves the given nights on one or more room numbers of
+* a room type. Each room number is claimed with a single conditional update that only
+* matches while none of the nights is taken, so two concurrent requests can never both
+* win the same night. If any room number loses, the ones already claimed by this call
+* are released again and a 409 error listing the conflicting dates is thrown.
+* 
+* @param { string } roomId - The id of the room type the room numbers belong to.
+* 
+* @param { array } roomNumberIds - The `_id`s of the room numbers to reserve.
+* 
+* @param { array } nights - The nights to reserve, as UTC midnight `Date`s.
+* 
+* @returns { Promise } Resolves once every room number has been reserved.
+*/
+export const reserveRoomNumbers = async (roomId, roomNumberIds, nights) => {
+  const reserved = [];
+
+  for (const roomNumberId of roomNumberIds) {
+    const result = await Room.updateOne(
+      {
+        _id: roomId,
+        roomNumbers: {
+          $elemMatch: { _id: roomNumberId, unavailableDates: { $nin: nights } },
+        },
+      },
+      { $push: { "roomNumbers.$.unavailableDates": { $each: nights } } }
+    );
+
+    if (result.modifiedCount === 0) {
+      await releaseRoomNumbers(roomId, reserved, nights);
+      throw await conflictError(roomId, roomNumberIds, nights);
+    }
+    reserved.push(roomNumberId);
+  }
+};
+
+/**
+* @description This function frees the given nights on one or more room numbers of a
+* room type. It is the counterpart of `reserveRoomNumbers`.
+* 
+* @param { string } roomId - The id of the room type the room numbers belong to.
+* 
+* @param { array } roomNumberIds - The `_id`s of the room numbers to release.
+* 
+* @param { array } nights - The nights to release, as UTC midnight `Date`s.
+* 
+* @returns { Promise } Resolves once the nights have been removed.
+*/
+export const releaseRoomNumbers = async (roomId, roomNumberIds, nights) => {
+  if (!roomNumberIds.length) return;
+  await Room.updateOne(
+    { _id: roomId },
+    { $pull: { "roomNumbers.$[roomNumber].unavailableDates": { $in: nights } } },
+    { arrayFilters: [{ "roomNumber._id": { $in: roomNumberIds } }] }
+  );
+};
+
+const conflictError = async (roomId, roomNumberIds, nights) => {
+  const room = await Room.findById(roomId);
+  const requested = roomNumberIds.map((id) => id.toString());
+  const nightTimes = nights.map((night) => night.getTime());
+
+  const conflicts = (room?.roomNumbers || [])
+    .filter((roomNumber) => requested.includes(roomNumber._id.toString()))
+    .map((roomNumber) => ({
+      roomNumber: roomNumber.number,
+      dates: roomNumber.unavailableDates
+        .filter((date) => nightTimes.includes(date.getTime()))
+        .map((date) => date.toISOString().slice(0, 10)),
+    }))
+    .filter((conflict) => conflict.dates.length);
+
+  const dates = [...new Set(conflicts.flatMap((conflict) => conflict.dates))].sort();
+  return new ConflictError(
+    dates.length
+      ? `The selected rooms are not available on: ${dates.join(", ")}`
+      : "The selected rooms are not available for these dates!",
+    { code: "ROOM_UNAVAILABLE", details: { conflicts } }
+  );
+};
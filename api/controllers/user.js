@@ -1,16 +1,38 @@
 import User from "../models/User.js"
+import { createError } from "../utils/error.js"
+import { paginate } from "../utils/paginate.js"
+import { escapeRegex } from "../utils/text.js"
+import { revokeUserSessions } from "../utils/tokens.js"
+import { sendVerificationEmail } from "./auth.js"
+import { serializePage, serializeUser, userAudience } from "../utils/serialize.js"
+
+const USER_SORTS = {
+    username: { field: "username", order: 1 },
+    newest: { field: "createdAt", order: -1 },
+}
 
 export const updateUser = async (req,res,next) => {
+    // Only admins can hand out roles.
+    if (!req.user.isAdmin && ("role" in req.body || "isAdmin" in req.body))
+        return next(createError(403, "You are not authorized to change roles!"))
     try {
-        const updatedUser = await User.findByIdAndUpdate(req.params.id, { $set: req.body}, {new:true})
-        res.status(200).json(updatedUser)
+        const user = await User.findById(req.params.id, "email")
+        if (!user) return next(createError(404, "User not found!"))
+        // A new address has to be confirmed again before the user can book.
+        const emailChanged = req.body.email !== undefined && req.body.email !== user.email.toLowerCase()
+        const update = emailChanged ? { ...req.body, isVerified: false } : req.body
+        const updatedUser = await User.findByIdAndUpdate(req.params.id, { $set: update }, {new:true})
+        if (!updatedUser) return next(createError(404, "User not found!"))
+        if (emailChanged) await sendVerificationEmail(updatedUser)
+        res.status(200).json(serializeUser(updatedUser, userAudience(req.user, req.params.id)))
     } catch (err) {
         next(err)
     }
 }
 export const deleteUser = async (req,res,next) => {
     try {
-        await User.findByIdAndDelete(req.params.id)
+        const deletedUser = await User.findByIdAndDelete(req.params.id)
+        if (!deletedUser) return next(createError(404, "User not found!"))
         res.status(200).json("User has been deleted")
     } catch (err) {
         next(err)
@@ -20,16 +42,39 @@ export const getUser = async (req,res,next) => {
 
     try {
         const user = await User.findById(req.params.id)
-        res.status(200).json(user)
+        if (!user) return next(createError(404, "User not found!"))
+        res.status(200).json(serializeUser(user, userAudience(req.user, req.params.id)))
+    } catch (err) {
+        next(err)
+    }
+}
+// Deactivating also signs the user out everywhere.
+export const setUserStatus = async (req,res,next) => {
+    if (req.params.id === req.user.id)
+        return next(createError(400, "You can't change the status of your own account!"))
+    try {
+        const user = await User.findByIdAndUpdate(req.params.id, { $set: { isActive: req.body.isActive } }, {new:true})
+        if (!user) return next(createError(404, "User not found!"))
+        if (!user.isActive) await revokeUserSessions(user._id)
+        res.status(200).json(serializeUser(user, "admin"))
     } catch (err) {
         next(err)
     }
 }
+// Admins can search by username or email (`q`) and filter by `role` and `isActive`.
 export const getUsers = async (req,res,next) => {
+    const { q, role, isActive } = req.query
+    const filter = {}
+    if (q) filter.$or = ["username", "email"].map((field) => ({ [field]: new RegExp(escapeRegex(q), "i") }))
+    if (role) filter.role = String(role)
+    if (isActive !== undefined) filter.isActive = isActive === "false" ? false : { $ne: false }
 
     try {
-        const users = await User.find()
-        res.status(200).json(users)
+        const users = await paginate(User.find(filter), req.query, {
+            sorts: USER_SORTS,
+            defaultSort: "newest",
+        })
+        res.status(200).json(serializePage(users, serializeUser, "admin"))
     } catch (err) {
       next(err)
     }
@@ -5,11 +5,31 @@ import authRoute from "./routes/auth.js";
 import hotelsRoute from "./routes/hotels.js";
 import usersRoute from "./routes/users.js";
 import roomsRoute from "./routes/rooms.js";
+import bookingsRoute from "./routes/bookings.js";
+import reviewsRoute from "./routes/reviews.js";
+import paymentsRoute from "./routes/payments.js";
+import citiesRoute from "./routes/cities.js";
+import homeRoute from "./routes/home.js";
 import cookieParser from "cookie-parser";
 import cors from "cors";
+import { errorHandler } from "./utils/error.js";
+import { startHoldSweeper } from "./controllers/booking.js";
+import { assertPaymentConfig } from "./utils/payments.js";
 
 const app = express();
 dotenv.config();
+assertPaymentConfig();
+
+// The login limiter keys on `req.ip`, which is the proxy's own address unless the
+// proxy is trusted. TRUST_PROXY is a hop count, "true", or a comma-separated list of
+// proxy addresses/subnets (e.g. "loopback, 10.0.0.0/8"). Unset, nothing is trusted.
+const trustProxy = (value = "") => {
+  if (!value || value === "false") return false;
+  if (value === "true") return true;
+  if (/^\d+$/.test(value)) return parseInt(value);
+  return value.split(",").map((address) => address.trim());
+};
+app.set("trust proxy", trustProxy(process.env.TRUST_PROXY));
 
 const connect = async () => {
   try {
@@ -33,7 +53,14 @@ app.get("/", (req, res) => {
 
 //middlewares
 
-app.use(express.json());
+app.use(
+  express.json({
+    // Webhook signatures are computed over the exact bytes that were sent.
+    verify: (req, res, buf) => {
+      if (req.originalUrl.startsWith("/api/payments/webhook")) req.rawBody = buf.toString("utf8");
+    },
+  })
+);
 app.use(cors());
 app.use(cookieParser());
 
@@ -41,19 +68,16 @@ app.use("/api/auth", authRoute);
 app.use("/api/users", usersRoute);
 app.use("/api/hotels", hotelsRoute);
 app.use("/api/rooms", roomsRoute);
+app.use("/api/bookings", bookingsRoute);
+app.use("/api/reviews", reviewsRoute);
+app.use("/api/payments", paymentsRoute);
+app.use("/api/cities", citiesRoute);
+app.use("/api/home", homeRoute);
 
-app.use((err, req, res, next) => {
-  const errorStatus = err.status || 500;
-  const errorMessage = err.message || "Something went wrong";
-  return res.status(errorStatus).json({
-    success: false,
-    status: errorStatus,
-    message: errorMessage,
-    stack: err.stack,
-  });
-});
+app.use(errorHandler);
 
 app.listen(8800, () => {
   connect();
+  startHoldSweeper();
   console.log("Connected to backend!!!");
 });
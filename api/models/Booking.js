@@ -0,0 +1,82 @@
+import mongoose from 'mongoose';
+import CancellationPolicySchema from './CancellationPolicy.js';
+const { Schema } = mongoose;
+
+const BookingSchema = new mongoose.Schema({
+    user:{
+        type: Schema.Types.ObjectId,
+        ref:"User",
+        required:true
+    },
+    hotel:{
+        type: Schema.Types.ObjectId,
+        ref:"Hotel",
+        required:true
+    },
+    room:{
+        type: Schema.Types.ObjectId,
+        ref:"Room",
+        required:true
+    },
+    roomNumbers:[{
+        _id: Schema.Types.ObjectId, number:Number
+    }],
+    checkIn:{
+        type:Date,
+        required:true
+    },
+    checkOut:{
+        type:Date,
+        required:true
+    },
+    guests:{
+        adults:{ type:Number, min:1, default:1 },
+        children:{ type:Number, min:0, default:0 },
+    },
+    totalPrice:{
+        type:Number,
+        required:true
+    },
+    // pending (awaiting payment) -> confirmed -> cancelled, or refunded when
+    // money went back to the guest. Pending bookings that aren't paid before
+    // `holdExpiresAt` become expired and free their nights.
+    status:{
+        type:String,
+        enum:["pending", "confirmed", "cancelled", "refunded", "expired"],
+        default:"pending"
+    },
+    holdExpiresAt:{
+        type:Date
+    },
+    // Set when a hold expires and cleared once its nights are free again, so the
+    // sweeper retries a release that failed halfway.
+    releasePending:{
+        type:Boolean
+    },
+    // The policy in force when the booking was made; later edits don't apply to it.
+    cancellationPolicy:{
+        type: CancellationPolicySchema
+    },
+    cancellation:{
+        cancelledAt:{ type:Date },
+        cancelledBy:{ type: Schema.Types.ObjectId, ref:"User" },
+        refundPercent:{ type:Number },
+        refundAmount:{ type:Number },
+    },
+    history:[{
+        _id:false,
+        status:{ type:String, required:true },
+        at:{ type:Date, default:Date.now },
+        by:{ type: Schema.Types.ObjectId, ref:"User" },
+        note:{ type:String },
+    }],
+},
+{timestamps: true}
+)
+
+BookingSchema.index({ status: 1, holdExpiresAt: 1 })
+
+// Bookings in these statuses hold their room nights.
+export const ACTIVE_BOOKING_STATUSES = ["pending", "confirmed"]
+
+export default mongoose.model("Booking", BookingSchema)
@@ -0,0 +1,29 @@
+import mongoose from 'mongoose';
+const { Schema } = mongoose;
+
+// Embedded in hotels and in room rate plans; a room's policy wins over its hotel's.
+//  - free: full refund until `freeDays` days before check-in, `refundPercent` after.
+//  - partial: `refundPercent` of the price is refunded whenever the guest cancels.
+//  - non-refundable: nothing is refunded.
+const CancellationPolicySchema = new Schema({
+    type:{
+        type:String,
+        enum:["free", "partial", "non-refundable"],
+        default:"free"
+    },
+    freeDays:{
+        type:Number,
+        min:0,
+        default:1
+    },
+    refundPercent:{
+        type:Number,
+        min:0,
+        max:100,
+        default:0
+    },
+},
+{_id: false}
+)
+
+export default CancellationPolicySchema
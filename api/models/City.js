@@ -0,0 +1,24 @@
+import mongoose from 'mongoose';
+const { Schema } = mongoose;
+
+// City centres, used to compute how far each hotel is from the centre.
+const CitySchema = new mongoose.Schema({
+    name:{
+        type:String,
+        required:true
+    },
+    // Case- and accent-insensitive form of `name`, see utils/text.js `fold`.
+    key:{
+        type:String,
+        required:true,
+        unique:true
+    },
+    center:{
+        type:{ type:String, enum:["Point"], required:true },
+        coordinates:{ type:[Number], required:true },
+    },
+},
+{timestamps: true}
+)
+
+export default mongoose.model("City", CitySchema)
@@ -0,0 +1,41 @@
+import mongoose from 'mongoose';
+const { Schema } = mongoose;
+
+// A section of the home page, ordered by `position`.
+const HomeCollectionSchema = new mongoose.Schema({
+    title:{
+        type:String,
+        required:true
+    },
+    kind:{
+        type:String,
+        enum:["destinations", "types", "hotels"],
+        required:true
+    },
+    // Pinned entries in display order: city names, property types or hotel ids.
+    // Without any, the collection shows the most popular ones. `image` replaces
+    // the automatic one for destinations and types.
+    items:[{
+        _id:false,
+        key:{ type:String, required:true },
+        image:String,
+    }],
+    limit:{
+        type:Number,
+        min:1,
+        max:12,
+        default:4
+    },
+    position:{
+        type:Number,
+        default:0
+    },
+    isActive:{
+        type:Boolean,
+        default:true
+    },
+},
+{timestamps: true}
+)
+
+export default mongoose.model("HomeCollection", HomeCollectionSchema)
@@ -1,4 +1,5 @@
 import mongoose from 'mongoose';
+import CancellationPolicySchema from './CancellationPolicy.js';
 const { Schema } = mongoose;
 
 const HotelSchema = new mongoose.Schema({
@@ -18,13 +19,25 @@ const HotelSchema = new mongoose.Schema({
         type:String,
         required:true
     },
+    // Legacy free-text distance; new hotels get `distanceKm` from their location.
     distance:{
         type:String,
-        required:true
+    },
+    // GeoJSON point, longitude first.
+    location:{
+        type:{ type:String, enum:["Point"] },
+        coordinates:{ type:[Number], default:undefined },
+    },
+    // Derived from `location` and the city's centre, see controllers/city.js.
+    distanceKm:{
+        type:Number,
     },
     photos:{
         type:[String],
     },
+    amenities:{
+        type:[String],
+    },
     title:{
         type:String,
         required:true
@@ -38,17 +51,51 @@ const HotelSchema = new mongoose.Schema({
         min:0,
         max:5,
     },
+    reviewCount:{
+        type:Number,
+        default:0
+    },
+    ratingBreakdown:{
+        cleanliness:{ type:Number },
+        location:{ type:Number },
+        staff:{ type:Number },
+        value:{ type:Number },
+    },
     rooms:{
         type:[String],
     },
+    // The price summary and `roomFacilities` are derived from the hotel's rooms by syncHotelPrices.
     cheapestPrice:{
         type: Number,
-        required:true
+        default:0
+    },
+    highestPrice:{
+        type: Number,
+        default:0
+    },
+    roomPrices:[{
+        _id:false,
+        room:{ type: Schema.Types.ObjectId, ref:"Room" },
+        title:String,
+        price:Number,
+    }],
+    // Union of the facilities of the hotel's room types.
+    roomFacilities:{
+        type:[String],
     },
     featured:{
         type:Boolean,
         default:false
     },
+    cancellationPolicy:{
+        type: CancellationPolicySchema
+    },
+    owner:{
+        type: Schema.Types.ObjectId,
+        ref:"User"
+    },
 })
 
+HotelSchema.index({ location: "2dsphere" })
+
 export default mongoose.model("Hotel", HotelSchema)
\ No newline at end of file
@@ -0,0 +1,66 @@
+import mongoose from 'mongoose';
+const { Schema } = mongoose;
+
+// One payment per booking. Amounts are in the same units as `Booking.totalPrice`.
+const PaymentSchema = new mongoose.Schema({
+    booking:{
+        type: Schema.Types.ObjectId,
+        ref:"Booking",
+        required:true,
+        unique:true
+    },
+    user:{
+        type: Schema.Types.ObjectId,
+        ref:"User",
+        required:true
+    },
+    provider:{
+        type:String,
+        required:true
+    },
+    intentId:{
+        type:String,
+        required:true,
+        unique:true
+    },
+    clientSecret:{
+        type:String
+    },
+    amount:{
+        type:Number,
+        required:true
+    },
+    currency:{
+        type:String,
+        default:"usd"
+    },
+    status:{
+        type:String,
+        enum:["requires_confirmation", "succeeded", "failed", "canceled", "refunded", "partially_refunded"],
+        default:"requires_confirmation"
+    },
+    failureReason:{
+        type:String
+    },
+    refundedAmount:{
+        type:Number,
+        default:0
+    },
+    // A refund the provider failed to make; retried in the background until it goes through.
+    pendingRefund:{
+        amount:{ type:Number },
+        requestedAt:{ type:Date },
+        attempts:{ type:Number, default:0 },
+        lastError:{ type:String },
+    },
+    refunds:[{
+        _id:false,
+        id:{ type:String, required:true },
+        amount:{ type:Number, required:true },
+        at:{ type:Date, default:Date.now },
+    }],
+},
+{timestamps: true}
+)
+
+export default mongoose.model("Payment", PaymentSchema)
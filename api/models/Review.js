@@ -0,0 +1,59 @@
+import mongoose from 'mongoose';
+const { Schema } = mongoose;
+
+const score = { type:Number, min:1, max:5, required:true };
+
+const ReviewSchema = new mongoose.Schema({
+    booking:{
+        type: Schema.Types.ObjectId,
+        ref:"Booking",
+        required:true,
+        unique:true
+    },
+    hotel:{
+        type: Schema.Types.ObjectId,
+        ref:"Hotel",
+        required:true,
+        index:true
+    },
+    user:{
+        type: Schema.Types.ObjectId,
+        ref:"User",
+        required:true
+    },
+    scores:{
+        cleanliness: score,
+        location: score,
+        staff: score,
+        value: score,
+    },
+    rating:{
+        type:Number,
+        min:1,
+        max:5
+    },
+    text:{
+        type:String,
+        required:true
+    },
+    status:{
+        type:String,
+        enum:["published", "hidden"],
+        default:"published"
+    },
+    reply:{
+        text:{ type:String },
+        author:{ type: Schema.Types.ObjectId, ref:"User" },
+        repliedAt:{ type:Date },
+    },
+},
+{timestamps: true}
+)
+
+ReviewSchema.pre("save", function (next) {
+    const { cleanliness, location, staff, value } = this.scores;
+    this.rating = Math.round(((cleanliness + location + staff + value) / 4) * 10) / 10;
+    next();
+})
+
+export default mongoose.model("Review", ReviewSchema)
@@ -1,12 +1,21 @@
 import mongoose from 'mongoose';
+import CancellationPolicySchema from './CancellationPolicy.js';
 const { Schema } = mongoose;
 
 const RoomSchema = new mongoose.Schema({
+    hotel:{
+        type: Schema.Types.ObjectId,
+        ref:"Hotel",
+        index:true
+    },
     title:{
         type:String,
         required:true,
         
     },
+    desc:{
+        type:String,
+    },
     price:{
         type:Number,
         required:true,
@@ -17,9 +26,33 @@ const RoomSchema = new mongoose.Schema({
         required:true,
         
     },
+    facilities:{
+        type:[String],
+    },
     roomNumbers:[{
-        number:Number, unavailableDates:[{type: [Date]}]
-    }]
+        number:Number, unavailableDates:{type: [Date]}
+    }],
+    // `price` is the weekday rate; the rate plan adjusts it night by night.
+    ratePlan:{
+        weekendPrice:{ type:Number, min:0 },
+        weekendDays:{ type:[Number], default:[5, 6] },
+        minStay:{ type:Number, min:1, default:1 },
+        seasons:[{
+            name:String,
+            startDate:{ type:Date, required:true },
+            endDate:{ type:Date, required:true },
+            price:{ type:Number, min:0, required:true },
+            weekendPrice:{ type:Number, min:0 },
+            minStay:{ type:Number, min:1 },
+        }],
+        overrides:[{
+            date:{ type:Date, required:true },
+            price:{ type:Number, min:0 },
+            closed:{ type:Boolean, default:false },
+        }],
+        // Overrides the hotel's cancellation policy for this room type.
+        cancellationPolicy:{ type: CancellationPolicySchema },
+    },
 },
 {timestamps: true}
 )
@@ -0,0 +1,37 @@
+import mongoose from 'mongoose';
+const { Schema } = mongoose;
+
+const SessionSchema = new mongoose.Schema({
+    user:{
+        type: Schema.Types.ObjectId,
+        ref:"User",
+        required:true,
+        index:true
+    },
+    tokenHash:{
+        type:String,
+        required:true,
+        unique:true
+    },
+    expiresAt:{
+        type:Date,
+        required:true
+    },
+    revokedAt:{
+        type:Date
+    },
+    replacedBy:{
+        type: Schema.Types.ObjectId,
+        ref:"Session"
+    },
+    userAgent:{
+        type:String
+    },
+},
+{timestamps: true}
+)
+
+// Let MongoDB drop sessions a day after they expire.
+SessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 60 * 60 * 24 })
+
+export default mongoose.model("Session", SessionSchema)
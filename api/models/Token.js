@@ -0,0 +1,35 @@
+import mongoose from 'mongoose';
+const { Schema } = mongoose;
+
+// Single-use tokens mailed to users: email verification and password reset.
+const TokenSchema = new mongoose.Schema({
+    user:{
+        type: Schema.Types.ObjectId,
+        ref:"User",
+        required:true,
+        index:true
+    },
+    type:{
+        type:String,
+        enum:["verify-email", "reset-password"],
+        required:true
+    },
+    tokenHash:{
+        type:String,
+        required:true,
+        unique:true
+    },
+    expiresAt:{
+        type:Date,
+        required:true
+    },
+    usedAt:{
+        type:Date
+    },
+},
+{timestamps: true}
+)
+
+TokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 60 * 60 * 24 })
+
+export default mongoose.model("Token", TokenSchema)
@@ -20,8 +20,35 @@ const UserSchema = new mongoose.Schema({
         type:Boolean,
         default:false
     },
+    passwordChangedAt:{
+        type:Date
+    },
+    isVerified:{
+        type:Boolean,
+        default:false
+    },
+    role:{
+        type:String,
+        enum:["guest", "manager", "admin"],
+        default:"guest"
+    },
+    // Deactivated users can't log in; their data is kept.
+    isActive:{
+        type:Boolean,
+        default:true
+    },
 },
-{timestamps: true}
+{
+    timestamps: true,
+    // Last line of defence: the hash never ends up in JSON, even when a
+    // document skips utils/serialize.js.
+    toJSON: {
+        transform: (doc, ret) => {
+            delete ret.password
+            return ret
+        }
+    }
+}
 )
 
 export default mongoose.model("User", UserSchema)
\ No newline at end of file
@@ -1,9 +1,38 @@
 import express from "express";
-import { login, register } from "../controllers/auth.js";
+import {
+  changePassword,
+  forgotPassword,
+  login,
+  logout,
+  refresh,
+  register,
+  resendVerification,
+  resetPassword,
+  verifyEmail,
+} from "../controllers/auth.js";
+import { validate } from "../utils/validate.js";
+import {
+  changePasswordSchema,
+  forgotPasswordSchema,
+  loginSchema,
+  registerSchema,
+  resendVerificationSchema,
+  resetPasswordSchema,
+  verifyEmailSchema,
+} from "../validators/auth.js";
+import { verifyToken } from "../utils/verifyToken.js";
+import { limitLoginAttempts } from "../utils/rateLimiter.js";
 
 const router = express.Router();
 
-router.post("/register", register)
-router.post("/login", login)
+router.post("/register", validate(registerSchema), register)
+router.post("/login", validate(loginSchema), limitLoginAttempts(), login)
+router.post("/verify", validate(verifyEmailSchema), verifyEmail)
+router.post("/verify/resend", validate(resendVerificationSchema), resendVerification)
+router.post("/forgot-password", validate(forgotPasswordSchema), forgotPassword)
+router.post("/reset-password", validate(resetPasswordSchema), resetPassword)
+router.put("/change-password", verifyToken, validate(changePasswordSchema), changePassword)
+router.post("/refresh", refresh)
+router.post("/logout", logout)
 
 export default router
\ No newline at end of file
@@ -0,0 +1,32 @@
+import express from "express";
+import {
+  cancelBooking,
+  getCancellationQuote,
+  createBooking,
+  getAllBookings,
+  getBooking,
+  getHotelBookings,
+  getMyBookings,
+} from "../controllers/booking.js";
+import { verifyAdmin, verifyEmailConfirmed, verifyHotelOwner, verifyPermission, verifyToken } from "../utils/verifyToken.js";
+import { validate } from "../utils/validate.js";
+import { bookingSchema, checkBooking } from "../validators/bookings.js";
+
+const router = express.Router();
+
+//CREATE
+router.post("/", verifyPermission("booking:create"), verifyEmailConfirmed, validate(bookingSchema, { check: checkBooking }), createBooking);
+//GET MINE
+router.get("/", verifyToken, getMyBookings);
+//GET ALL (ADMIN)
+router.get("/all", verifyAdmin, getAllBookings);
+//GET BY HOTEL
+router.get("/hotel/:hotelId", verifyHotelOwner("booking:read:hotel:own", "hotelId"), getHotelBookings);
+//GET
+router.get("/:id", verifyToken, getBooking);
+//CANCELLATION QUOTE
+router.get("/:id/cancellation", verifyToken, getCancellationQuote);
+//CANCEL
+router.put("/:id/cancel", verifyToken, cancelBooking);
+
+export default router;
@@ -0,0 +1,14 @@
+import express from "express";
+import { getCities, setCityCenter } from "../controllers/city.js";
+import { verifyAdmin } from "../utils/verifyToken.js";
+import { validate } from "../utils/validate.js";
+import { coordinatesSchema } from "../validators/cities.js";
+
+const router = express.Router();
+
+//GET ALL
+router.get("/", getCities);
+//SET CENTER
+router.put("/:name", verifyAdmin, validate(coordinatesSchema), setCityCenter);
+
+export default router;
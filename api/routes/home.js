@@ -0,0 +1,26 @@
+import express from "express";
+import {
+  createHomeCollection,
+  deleteHomeCollection,
+  getHome,
+  getHomeCollections,
+  updateHomeCollection,
+} from "../controllers/home.js";
+import { verifyAdmin } from "../utils/verifyToken.js";
+import { validate } from "../utils/validate.js";
+import { homeCollectionSchema } from "../validators/home.js";
+
+const router = express.Router();
+
+//GET HOME PAGE
+router.get("/", getHome);
+//GET ALL COLLECTIONS
+router.get("/collections", verifyAdmin, getHomeCollections);
+//CREATE
+router.post("/collections", verifyAdmin, validate(homeCollectionSchema), createHomeCollection);
+//UPDATE
+router.put("/collections/:id", verifyAdmin, validate(homeCollectionSchema, { partial: true }), updateHomeCollection);
+//DELETE
+router.delete("/collections/:id", verifyAdmin, deleteHomeCollection);
+
+export default router;
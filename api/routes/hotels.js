@@ -10,25 +10,37 @@ import {
   countByCity,
   countByType,
   getHotelRooms,
+  getHotelQuote,
+  getManagedHotels,
+  getHighlights,
+  suggest,
 } from "../controllers/hotel.js";
-import { verifyAdmin } from "../utils/verifyToken.js";
+import { verifyHotelOwner, verifyPermission, verifyRole } from "../utils/verifyToken.js";
+import { validate } from "../utils/validate.js";
+import { hotelSchema } from "../validators/hotels.js";
+import { checkStay, quoteSchema } from "../validators/bookings.js";
 
 
 const router = express.Router();
 
 
 //CREATE
-router.post("/", verifyAdmin, createHotel);
+router.post("/", verifyPermission("hotel:create"), validate(hotelSchema), createHotel);
 //UPDATE
-router.put("/:id",verifyAdmin,  updateHotel);
+router.put("/:id", verifyHotelOwner("hotel:update:own"), validate(hotelSchema, { partial: true }), updateHotel);
 //DELETE
-router.delete("/:id",verifyAdmin,  deleteHotel);
+router.delete("/:id", verifyHotelOwner("hotel:delete:own"), deleteHotel);
 //GET
 router.get("/find:id", getHotel);
 //GET ALL
 router.get("/", getHotels);
+//GET MANAGED (DASHBOARD)
+router.get("/manage", verifyRole("manager", "admin"), getManagedHotels);
+router.get("/suggest", suggest);
 router.get("/countByCity", countByCity);
 router.get("/countByType", countByType);
+router.get("/highlights", getHighlights);
 router.get("/room/:id", getHotelRooms);
+router.get("/:id/quote", validate(quoteSchema, { source: "query", check: checkStay }), getHotelQuote);
 
 export default router;
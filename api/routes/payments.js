@@ -0,0 +1,16 @@
+import express from "express";
+import { confirmPayment, getBookingPayment, handleWebhook } from "../controllers/payment.js";
+import { verifyToken } from "../utils/verifyToken.js";
+import { validate } from "../utils/validate.js";
+import { confirmPaymentSchema } from "../validators/payments.js";
+
+const router = express.Router();
+
+//WEBHOOK
+router.post("/webhook", handleWebhook);
+//GET BY BOOKING
+router.get("/booking/:bookingId", verifyToken, getBookingPayment);
+//CONFIRM
+router.post("/:id/confirm", verifyToken, validate(confirmPaymentSchema), confirmPayment);
+
+export default router;
@@ -0,0 +1,30 @@
+import express from "express";
+import {
+  createReview,
+  getHotelReviews,
+  getReviews,
+  moderateReview,
+  replyToReview,
+} from "../controllers/review.js";
+import { verifyAdmin, verifyPermission, verifyToken } from "../utils/verifyToken.js";
+import { validate } from "../utils/validate.js";
+import {
+  moderateReviewSchema,
+  replyReviewSchema,
+  reviewSchema,
+} from "../validators/reviews.js";
+
+const router = express.Router();
+
+//CREATE
+router.post("/", verifyPermission("review:create"), validate(reviewSchema), createReview);
+//GET BY HOTEL
+router.get("/hotel/:hotelId", getHotelReviews);
+//GET ALL
+router.get("/", verifyAdmin, getReviews);
+//MODERATE
+router.put("/:id/moderate", verifyAdmin, validate(moderateReviewSchema), moderateReview);
+//REPLY
+router.put("/:id/reply", verifyToken, validate(replyReviewSchema), replyToReview);
+
+export default router;
@@ -1,6 +1,9 @@
 import express from "express"
-import { createRoom,updateRoom,deleteRoom,getRoom, getRooms } from "../controllers/room.js";
-import { verifyAdmin } from "../utils/verifyToken.js";
+import { createRoom,updateRoom,deleteRoom,getRoom, getRooms, getRoomQuote, addRoomNumber, removeRoomNumber } from "../controllers/room.js";
+import { verifyHotelOwner, verifyRoomOwner } from "../utils/verifyToken.js";
+import { validate } from "../utils/validate.js";
+import { roomNumberSchema, roomSchema, updateRoomSchema } from "../validators/rooms.js";
+import { checkStay, quoteSchema } from "../validators/bookings.js";
 
 
 const router = express.Router()
@@ -8,13 +11,20 @@ const router = express.Router()
 
 
 //CREATE
-router.post("/:hotelid", verifyAdmin, createRoom);
+router.post("/:hotelid", verifyHotelOwner("room:manage:own", "hotelid"), validate(roomSchema), createRoom);
 //UPDATE
-router.put("/:id",verifyAdmin,  updateRoom);
+router.put("/:id", verifyRoomOwner(), validate(updateRoomSchema, { partial: true }), updateRoom);
 //DELETE
-router.delete("/:id/:hotelid",verifyAdmin,  deleteRoom);
+router.delete("/:id", verifyRoomOwner(), deleteRoom);
+// Kept for older clients; the hotel is now derived from the room.
+router.delete("/:id/:hotelid", verifyRoomOwner(), deleteRoom);
+//ROOM NUMBERS
+router.post("/:id/numbers", verifyRoomOwner(), validate(roomNumberSchema), addRoomNumber);
+router.delete("/:id/numbers/:numberId", verifyRoomOwner(), removeRoomNumber);
 //GET
 router.get("/:id", getRoom);
+//QUOTE
+router.get("/:id/quote", validate(quoteSchema, { source: "query", check: checkStay }), getRoomQuote);
 //GET ALL
 router.get("/", getRooms);
 
@@ -1,13 +1,15 @@
 import express from "express"
-import { updateUser,deleteUser,getUser,getUsers } from "../controllers/user.js"
+import { updateUser,deleteUser,getUser,getUsers,setUserStatus } from "../controllers/user.js"
 import { verifyAdmin, verifyToken, verifyUser } from "../utils/verifyToken.js";
+import { validate } from "../utils/validate.js";
+import { updateUserSchema, userStatusSchema } from "../validators/users.js";
 const router = express.Router()
 
 
 // router.get("/checkauthentication", verifyToken, (req, res, next) => {
 //     res.send("hello user, you are logged in");
 //   });
-//   router.get("/checkuser/:id", verifyUser , (req, res, next) => {
+//   router.get("/checkuser/:id", verifyUser("user:delete:own") , (req, res, next) => {
 //     res.send("hello user, you are logged in and you can delete your account");
 //   });
   
@@ -17,11 +19,13 @@ const router = express.Router()
   
 
 //UPDATE
-router.put("/:id",verifyUser ,updateUser)
+router.put("/:id",verifyUser("user:update:own") ,validate(updateUserSchema, { partial: true }) ,updateUser)
+//ACTIVATE / DEACTIVATE
+router.put("/:id/status", verifyAdmin, validate(userStatusSchema), setUserStatus)
 //DELETE
-router.delete("/:id", verifyUser ,deleteUser)
+router.delete("/:id", verifyUser("user:delete:own") ,deleteUser)
 //GET
-router.get("/:id", verifyUser ,getUser)
+router.get("/:id", verifyUser("user:read:own") ,getUser)
 //GET ALL
 router.get("/", verifyAdmin ,getUsers)
 
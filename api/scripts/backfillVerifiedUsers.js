@@ -0,0 +1,25 @@
+// Marks accounts created before email verification existed as verified, so they
+// aren't blocked from booking. Accounts created since always store `isVerified`.
+// Usage: npm run backfill:verified
+import dotenv from "dotenv";
+import mongoose from "mongoose";
+import User from "../models/User.js";
+
+dotenv.config();
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGO);
+
+  const result = await User.updateMany(
+    { isVerified: { $exists: false } },
+    { $set: { isVerified: true } }
+  );
+  console.log(`Done. ${result.modifiedCount} existing user(s) marked as verified.`);
+};
+
+run()
+  .catch((err) => {
+    console.error(err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,79 @@
+// Reports broken links between hotels and rooms.
+// Usage: npm run check:integrity [-- --fix]
+//
+// With --fix, dangling ids are pulled from Hotel.rooms, rooms get their `hotel`
+// field backfilled, missing ids are added back to their hotel and prices are
+// resynced. Orphan rooms (whose hotel no longer exists) are only reported.
+import dotenv from "dotenv";
+import mongoose from "mongoose";
+import Hotel from "../models/Hotel.js";
+import Room from "../models/Room.js";
+import { syncHotelPrices } from "../utils/hotelPrices.js";
+
+dotenv.config();
+
+const fix = process.argv.includes("--fix");
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGO);
+
+  const rooms = await Room.find({}, "_id hotel title");
+  const roomIds = new Set(rooms.map((room) => room._id.toString()));
+  const hotels = await Hotel.find({}, "_id name rooms");
+  const hotelIds = new Set(hotels.map((hotel) => hotel._id.toString()));
+  const listedBy = new Map();
+  const touched = new Set();
+  let problems = 0;
+
+  for (const hotel of hotels) {
+    const dangling = hotel.rooms.filter((id) => !roomIds.has(id));
+    for (const id of hotel.rooms) listedBy.set(id, hotel._id.toString());
+    if (!dangling.length) continue;
+    problems += dangling.length;
+    console.log(`${hotel.name}: ${dangling.length} dangling room id(s): ${dangling.join(", ")}`);
+    if (fix) {
+      await Hotel.updateOne({ _id: hotel._id }, { $pull: { rooms: { $in: dangling } } });
+      touched.add(hotel._id.toString());
+    }
+  }
+
+  for (const room of rooms) {
+    const id = room._id.toString();
+    const hotelId = room.hotel?.toString() ?? listedBy.get(id);
+
+    if (!hotelId || !hotelIds.has(hotelId)) {
+      problems++;
+      console.log(`Room ${id} (${room.title}) is orphaned: its hotel doesn't exist.`);
+      continue;
+    }
+    if (!room.hotel) {
+      problems++;
+      console.log(`Room ${id} (${room.title}) has no hotel field.`);
+      if (fix) await Room.updateOne({ _id: room._id }, { $set: { hotel: hotelId } });
+    }
+    if (listedBy.get(id) !== hotelId) {
+      problems++;
+      console.log(`Room ${id} (${room.title}) isn't listed by its hotel ${hotelId}.`);
+      if (fix) {
+        await Hotel.updateOne({ _id: hotelId }, { $addToSet: { rooms: id } });
+        touched.add(hotelId);
+      }
+    }
+  }
+
+  for (const hotelId of touched) await syncHotelPrices(hotelId);
+
+  console.log(
+    problems
+      ? `Done. ${problems} problem(s) found${fix ? ", fixable ones repaired" : "; rerun with --fix to repair"}.`
+      : "Done. No problems found."
+  );
+  if (problems && !fix) process.exitCode = 1;
+};
+
+run()
+  .catch((err) => {
+    console.error(err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
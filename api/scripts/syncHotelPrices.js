@@ -0,0 +1,29 @@
+// Recomputes the price summary of every hotel from its rooms.
+// Usage: npm run sync:prices
+import dotenv from "dotenv";
+import mongoose from "mongoose";
+import Hotel from "../models/Hotel.js";
+import { syncHotelPrices } from "../utils/hotelPrices.js";
+
+dotenv.config();
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGO);
+
+  let updated = 0;
+  for await (const hotel of Hotel.find({}, "_id name cheapestPrice").cursor()) {
+    const synced = await syncHotelPrices(hotel._id);
+    if (synced.cheapestPrice !== hotel.cheapestPrice) {
+      console.log(`${hotel.name}: cheapestPrice ${hotel.cheapestPrice} -> ${synced.cheapestPrice}`);
+      updated++;
+    }
+  }
+  console.log(`Done. ${updated} hotel(s) had a stale cheapestPrice.`);
+};
+
+run()
+  .catch((err) => {
+    console.error(err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
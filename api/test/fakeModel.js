@@ -0,0 +1,137 @@
+import mongoose from "mongoose";
+
+// An in-memory stand-in for the few Mongoose model methods the controllers use,
+// so their flows can run without a MongoDB server. Only the query and update
+// operators the controllers rely on are understood.
+
+const isPlainObject = (value) =>
+  value !== null && typeof value === "object" && Object.getPrototypeOf(value) === Object.prototype;
+
+// ObjectIds and Dates are kept by reference; everything else is copied.
+const clone = (value) => {
+  if (Array.isArray(value)) return value.map(clone);
+  if (isPlainObject(value))
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, clone(item)]));
+  return value;
+};
+
+const comparable = (value) => {
+  if (value instanceof Date) return value.getTime();
+  if (value !== null && typeof value === "object") return String(value);
+  return value;
+};
+
+const same = (a, b) => comparable(a) === comparable(b);
+
+// Every value at a dotted path, looking into arrays along the way.
+const valuesAt = (doc, path) =>
+  path.split(".").reduce(
+    (values, key) =>
+      values.flatMap((value) => {
+        if (Array.isArray(value)) return value.map((item) => item?.[key]);
+        return value == null ? [] : [value[key]];
+      }),
+    [doc]
+  ).flatMap((value) => (Array.isArray(value) ? value : [value]));
+
+const matchesCondition = (values, condition) => {
+  const present = values.filter((value) => value !== undefined);
+  if (!isPlainObject(condition) || !Object.keys(condition).some((key) => key.startsWith("$")))
+    return present.some((value) => same(value, condition));
+  return Object.entries(condition).every(([operator, operand]) => {
+    if (operator === "$in") return present.some((value) => operand.some((item) => same(value, item)));
+    if (operator === "$ne") return !present.some((value) => same(value, operand));
+    if (operator === "$exists") return operand ? present.length > 0 : present.length === 0;
+    if (operator === "$gt") return present.some((value) => value > operand);
+    throw new Error(`fakeModel does not support ${operator}`);
+  });
+};
+
+const matches = (doc, filter = {}) =>
+  Object.entries(filter).every(([path, condition]) => matchesCondition(valuesAt(doc, path), condition));
+
+const parentOf = (doc, path) => {
+  const keys = path.split(".");
+  const last = keys.pop();
+  const parent = keys.reduce((target, key) => {
+    if (target[key] == null) target[key] = {};
+    return target[key];
+  }, doc);
+  return [parent, last];
+};
+
+const applyUpdate = (doc, update) => {
+  Object.entries(update).forEach(([operator, fields]) => {
+    Object.entries(fields).forEach(([path, value]) => {
+      const [parent, key] = parentOf(doc, path);
+      if (operator === "$set") parent[key] = clone(value);
+      else if (operator === "$unset") delete parent[key];
+      else if (operator === "$inc") parent[key] = (parent[key] || 0) + value;
+      else if (operator === "$push") parent[key] = [...(parent[key] || []), clone(value)];
+      else throw new Error(`fakeModel does not support ${operator}`);
+    });
+  });
+};
+
+/**
+* @description This function swaps the static methods of a Mongoose model (and
+* `save` on its documents) for in-memory ones backed by `docs`, using `mock` from
+* `node:test` so `mock.restoreAll()` undoes it.
+*
+* @param { object } mock - The `mock` object of the running test.
+*
+* @param { object } Model - The Mongoose model to replace.
+*
+* @param { array } docs - The documents the fake collection starts with.
+*
+* @returns { object } `{ docs, get(id) }` to inspect the collection afterwards.
+*/
+export const fakeModel = (mock, Model, docs = []) => {
+  const store = docs.map((doc) => ({ _id: new mongoose.Types.ObjectId(), ...clone(doc) }));
+
+  // Documents handed out are copies; `save` writes the copy back.
+  const hydrate = (doc) => {
+    if (!doc) return null;
+    const copy = clone(doc);
+    Object.defineProperty(copy, "save", {
+      value: async () => {
+        const index = store.findIndex((item) => same(item._id, copy._id));
+        store[index] = clone(copy);
+        return copy;
+      },
+    });
+    return copy;
+  };
+
+  const findOne = (filter) => store.find((doc) => matches(doc, filter));
+
+  const findOneAndUpdate = async (filter, update, options = {}) => {
+    const doc = findOne(filter);
+    if (!doc) return null;
+    const before = hydrate(doc);
+    applyUpdate(doc, update);
+    return options.new ? hydrate(doc) : before;
+  };
+
+  mock.method(Model, "find", async (filter) => store.filter((doc) => matches(doc, filter)).map(hydrate));
+  mock.method(Model, "findOne", async (filter) => hydrate(findOne(filter)));
+  mock.method(Model, "findById", async (id) => hydrate(findOne({ _id: id })));
+  mock.method(Model, "findOneAndUpdate", findOneAndUpdate);
+  mock.method(Model, "findByIdAndUpdate", (id, update, options) =>
+    findOneAndUpdate({ _id: id }, update, options)
+  );
+  mock.method(Model, "updateOne", async (filter, update) => {
+    const doc = findOne(filter);
+    if (doc) applyUpdate(doc, update);
+    return { matchedCount: doc ? 1 : 0, modifiedCount: doc ? 1 : 0 };
+  });
+  mock.method(Model.prototype, "save", async function () {
+    store.push(clone(this.toObject()));
+    return hydrate(store[store.length - 1]);
+  });
+
+  return {
+    docs: store,
+    get: (id) => hydrate(findOne({ _id: id })),
+  };
+};
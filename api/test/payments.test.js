@@ -0,0 +1,242 @@
+import assert from "node:assert/strict";
+import { afterEach, describe, it, mock } from "node:test";
+import mongoose from "mongoose";
+import Booking from "../models/Booking.js";
+import Hotel from "../models/Hotel.js";
+import Payment from "../models/Payment.js";
+import Room from "../models/Room.js";
+import { cancelBooking } from "../controllers/booking.js";
+import { confirmPayment, createPayment, retryPendingRefunds } from "../controllers/payment.js";
+import {
+  MOCK_DECLINED_METHOD,
+  WebhookSignatureError,
+  paymentProvider,
+  registerProvider,
+  signWebhook,
+  verifyWebhookSignature,
+} from "../utils/payments.js";
+import { fakeModel } from "./fakeModel.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const { ObjectId } = mongoose.Types;
+
+// Runs an Express handler and resolves to what it answered or forwarded.
+const run = (handler, req) =>
+  new Promise((resolve) => {
+    const res = {
+      statusCode: 200,
+      status(code) {
+        this.statusCode = code;
+        return this;
+      },
+      json(body) {
+        resolve({ status: this.statusCode, body });
+        return this;
+      },
+    };
+    handler(req, res, (error) => resolve({ error }));
+  });
+
+const guest = { id: new ObjectId().toString(), role: "guest", isAdmin: false };
+
+const pendingBooking = () => ({
+  _id: new ObjectId(),
+  user: new ObjectId(guest.id),
+  hotel: new ObjectId(),
+  room: new ObjectId(),
+  roomNumbers: [{ _id: new ObjectId(), number: 101 }],
+  checkIn: new Date(Date.now() + 10 * DAY_MS),
+  checkOut: new Date(Date.now() + 12 * DAY_MS),
+  totalPrice: 200,
+  status: "pending",
+  holdExpiresAt: new Date(Date.now() + 10 * 60 * 1000),
+  history: [],
+});
+
+// Booking, Payment and the hotel/room lookups of a cancellation, all in memory.
+const fakeStore = (bookingDocs, paymentDocs = []) => {
+  mock.method(Hotel, "findById", async () => null);
+  mock.method(Room, "findById", async () => null);
+  mock.method(Room, "updateOne", async () => ({ matchedCount: 1, modifiedCount: 1 }));
+  return { bookings: fakeModel(mock, Booking, bookingDocs), payments: fakeModel(mock, Payment, paymentDocs) };
+};
+
+afterEach(() => mock.restoreAll());
+
+describe("mock payment provider", () => {
+  const provider = paymentProvider("mock");
+
+  it("derives intent and refund ids from their inputs", async () => {
+    const intent = await provider.createIntent({ amount: 20000, currency: "usd", metadata: { booking: "b1" } });
+    const again = await provider.createIntent({ amount: 20000, currency: "usd", metadata: { booking: "b1" } });
+    const other = await provider.createIntent({ amount: 20000, currency: "usd", metadata: { booking: "b2" } });
+
+    assert.equal(intent.status, "requires_confirmation");
+    assert.equal(again.id, intent.id);
+    assert.notEqual(other.id, intent.id);
+    assert.deepEqual(await provider.refund(intent.id, { amount: 500 }), await provider.refund(intent.id, { amount: 500 }));
+  });
+
+  it("declines only the declined test method", async () => {
+    assert.equal((await provider.confirmIntent("pi_1", { paymentMethod: "pm_card_visa" })).status, "succeeded");
+    const declined = await provider.confirmIntent("pi_1", { paymentMethod: MOCK_DECLINED_METHOD });
+    assert.equal(declined.status, "failed");
+    assert.ok(declined.failureReason);
+  });
+
+  it("takes a booking from pending to confirmed to refunded", async () => {
+    const booking = pendingBooking();
+    const { bookings, payments } = fakeStore([booking]);
+
+    const payment = await createPayment(bookings.get(booking._id));
+    assert.equal(payment.status, "requires_confirmation");
+    assert.equal(payment.amount, 200);
+
+    const confirmed = await run(confirmPayment, {
+      params: { id: payment._id },
+      body: { paymentMethod: "pm_card_visa" },
+      user: guest,
+    });
+    assert.equal(confirmed.error, undefined);
+    assert.equal(confirmed.body.payment.status, "succeeded");
+    assert.equal(bookings.get(booking._id).status, "confirmed");
+
+    const cancelled = await run(cancelBooking, { params: { id: booking._id.toString() }, user: guest });
+    assert.equal(cancelled.error, undefined);
+    assert.equal(cancelled.body.status, "refunded");
+    assert.equal(bookings.get(booking._id).cancellation.refundAmount, 200);
+    const refunded = payments.get(payment._id);
+    assert.equal(refunded.status, "refunded");
+    assert.equal(refunded.refundedAmount, 200);
+  });
+
+  it("refunds nothing for a confirmed booking without a payment", async () => {
+    const booking = { ...pendingBooking(), status: "confirmed" };
+    const { bookings } = fakeStore([booking]);
+
+    const cancelled = await run(cancelBooking, { params: { id: booking._id.toString() }, user: guest });
+    assert.equal(cancelled.error, undefined);
+    assert.equal(cancelled.body.status, "cancelled");
+    assert.equal(cancelled.body.cancellation.refundAmount, 0);
+    assert.equal(bookings.get(booking._id).status, "cancelled");
+  });
+
+  it("leaves the booking pending when the card is declined", async () => {
+    const booking = pendingBooking();
+    const { bookings } = fakeStore([booking]);
+    const payment = await createPayment(bookings.get(booking._id));
+
+    const declined = await run(confirmPayment, {
+      params: { id: payment._id },
+      body: { paymentMethod: MOCK_DECLINED_METHOD },
+      user: guest,
+    });
+    assert.equal(declined.error.status, 402);
+    assert.equal(bookings.get(booking._id).status, "pending");
+  });
+});
+
+describe("verifyWebhookSignature", () => {
+  const secret = "whsec_test";
+  const body = JSON.stringify({ id: "evt_1", type: "payment.succeeded", intentId: "pi_1" });
+  const timestamp = 1700000000;
+  const now = timestamp * 1000;
+
+  it("accepts a body signed with the secret", () => {
+    const header = signWebhook(body, { secret, timestamp });
+    assert.doesNotThrow(() => verifyWebhookSignature(body, header, { secret, now }));
+  });
+
+  it("rejects a wrong signature or a changed body", () => {
+    const header = signWebhook(body, { secret, timestamp });
+    assert.throws(
+      () => verifyWebhookSignature(body, signWebhook(body, { secret: "whsec_other", timestamp }), { secret, now }),
+      WebhookSignatureError
+    );
+    assert.throws(() => verifyWebhookSignature(`${body} `, header, { secret, now }), WebhookSignatureError);
+    assert.throws(() => verifyWebhookSignature(body, undefined, { secret, now }), WebhookSignatureError);
+  });
+
+  it("rejects a signature outside the time tolerance", () => {
+    const header = signWebhook(body, { secret, timestamp });
+    assert.doesNotThrow(() => verifyWebhookSignature(body, header, { secret, now: now + 4 * 60 * 1000 }));
+    assert.throws(
+      () => verifyWebhookSignature(body, header, { secret, now: now + 6 * 60 * 1000 }),
+      /expired/
+    );
+    assert.throws(
+      () => verifyWebhookSignature(body, header, { secret, now: now - 6 * 60 * 1000 }),
+      WebhookSignatureError
+    );
+  });
+});
+
+describe("retryPendingRefunds", () => {
+  let failures = 0;
+  registerProvider("flaky", {
+    ...paymentProvider("mock"),
+    refund: async (id, options) => {
+      if (failures > 0) {
+        failures--;
+        throw new Error("Provider unavailable");
+      }
+      return paymentProvider("mock").refund(id, options);
+    },
+  });
+
+  const cancelledWithPendingRefund = () => {
+    const booking = { ...pendingBooking(), status: "cancelled" };
+    const payment = {
+      booking: booking._id,
+      user: booking.user,
+      provider: "flaky",
+      intentId: "pi_flaky",
+      amount: 200,
+      currency: "usd",
+      status: "succeeded",
+      refundedAmount: 0,
+      refunds: [],
+      pendingRefund: { amount: 150, attempts: 1, lastError: "Provider unavailable" },
+    };
+    return { booking, payment };
+  };
+
+  it("keeps the refund pending while the provider keeps failing", async () => {
+    const { booking, payment } = cancelledWithPendingRefund();
+    const { bookings, payments } = fakeStore([booking], [payment]);
+    failures = 1;
+
+    assert.equal(await retryPendingRefunds(), 0);
+    const [stored] = payments.docs;
+    assert.equal(stored.pendingRefund.attempts, 2);
+    assert.equal(stored.refundedAmount, 0);
+    assert.equal(bookings.get(booking._id).status, "cancelled");
+  });
+
+  it("refunds once the provider recovers and marks the booking refunded", async () => {
+    const { booking, payment } = cancelledWithPendingRefund();
+    const { bookings, payments } = fakeStore([booking], [payment]);
+    failures = 0;
+
+    assert.equal(await retryPendingRefunds(), 1);
+    const [stored] = payments.docs;
+    assert.equal(stored.pendingRefund, undefined);
+    assert.equal(stored.refundedAmount, 150);
+    assert.equal(stored.status, "partially_refunded");
+    assert.equal(bookings.get(booking._id).status, "refunded");
+    assert.equal(await retryPendingRefunds(), 0);
+  });
+
+  it("lets a cancellation through when the refund fails and reports it as pending", async () => {
+    const booking = { ...pendingBooking(), status: "confirmed" };
+    const payment = { ...cancelledWithPendingRefund().payment, booking: booking._id, pendingRefund: undefined };
+    const { bookings, payments } = fakeStore([booking], [payment]);
+    failures = 1;
+
+    const cancelled = await run(cancelBooking, { params: { id: booking._id.toString() }, user: guest });
+    assert.equal(cancelled.error, undefined);
+    assert.equal(cancelled.body.refundStatus, "pending");
+    assert.equal(bookings.get(booking._id).status, "cancelled");
+    assert.equal(payments.docs[0].pendingRefund.amount, 200);
+  });
+});
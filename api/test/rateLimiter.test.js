@@ -0,0 +1,99 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { createLoginLimiter, createMemoryStore, limitLoginAttempts } from "../utils/rateLimiter.js";
+
+const MINUTE = 60 * 1000;
+
+// A clock the tests move by hand.
+const fakeClock = () => {
+  let time = Date.UTC(2024, 0, 1);
+  const now = () => time;
+  now.advance = (ms) => {
+    time += ms;
+  };
+  return now;
+};
+
+const limiterWith = (options = {}) => {
+  const now = fakeClock();
+  const limiter = createLoginLimiter({ store: createMemoryStore({ now }), now, ...options });
+  return { now, limiter };
+};
+
+describe("createMemoryStore", () => {
+  it("counts within a window and starts over once it has passed", async () => {
+    const now = fakeClock();
+    const store = createMemoryStore({ now });
+
+    assert.equal((await store.increment("key", MINUTE)).count, 1);
+    assert.equal((await store.increment("key", MINUTE)).count, 2);
+    now.advance(MINUTE);
+    assert.equal(await store.get("key"), null);
+    assert.equal((await store.increment("key", MINUTE)).count, 1);
+    await store.reset("key");
+    assert.equal(await store.get("key"), null);
+  });
+});
+
+describe("createLoginLimiter", () => {
+  it("locks a username after too many failures until the lockout ends", async () => {
+    const { now, limiter } = limiterWith({ maxFailures: 3, lockoutMs: 15 * MINUTE });
+
+    for (let i = 0; i < 2; i++) await limiter.recordFailure("Alice");
+    assert.equal(await limiter.check("10.0.0.1", "alice"), 0);
+
+    await limiter.recordFailure("alice ");
+    assert.equal(await limiter.check("10.0.0.2", "ALICE"), 15 * 60);
+    assert.equal(await limiter.check("10.0.0.2", "bob"), 0);
+
+    now.advance(10 * MINUTE);
+    assert.equal(await limiter.check("10.0.0.2", "alice"), 5 * 60);
+    now.advance(5 * MINUTE);
+    assert.equal(await limiter.check("10.0.0.2", "alice"), 0);
+  });
+
+  it("forgets failures after a successful login", async () => {
+    const { limiter } = limiterWith({ maxFailures: 3 });
+
+    await limiter.recordFailure("alice");
+    await limiter.recordFailure("alice");
+    await limiter.recordSuccess("alice");
+    await limiter.recordFailure("alice");
+    assert.equal(await limiter.check("10.0.0.1", "alice"), 0);
+  });
+
+  it("caps the attempts of one IP whatever the username", async () => {
+    const { now, limiter } = limiterWith({ ipLimit: 3, ipWindowMs: 15 * MINUTE });
+
+    for (const username of ["a", "b", "c"]) assert.equal(await limiter.check("10.0.0.1", username), 0);
+    assert.equal(await limiter.check("10.0.0.1", "d"), 15 * 60);
+    assert.equal(await limiter.check("10.0.0.2", "d"), 0);
+    now.advance(15 * MINUTE);
+    assert.equal(await limiter.check("10.0.0.1", "d"), 0);
+  });
+});
+
+describe("limitLoginAttempts", () => {
+  const call = (middleware, req) =>
+    new Promise((resolve) => {
+      const headers = {};
+      const res = {
+        set: (name, value) => {
+          headers[name] = value;
+        },
+      };
+      middleware(req, res, (error) => resolve({ error, headers }));
+    });
+
+  it("answers 429 with Retry-After once the limit is hit", async () => {
+    const { limiter } = limiterWith({ ipLimit: 1 });
+    const middleware = limitLoginAttempts(limiter);
+    const req = { ip: "10.0.0.1", body: { username: "alice" } };
+
+    assert.equal((await call(middleware, req)).error, undefined);
+    const { error, headers } = await call(middleware, req);
+    assert.equal(error.status, 429);
+    assert.equal(error.code, "TOO_MANY_LOGIN_ATTEMPTS");
+    assert.equal(headers["Retry-After"], String(15 * 60));
+  });
+});
@@ -0,0 +1,45 @@
+import { toDay } from "./dates.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const DEFAULT_CANCELLATION_POLICY = { type: "free", freeDays: 1, refundPercent: 0 };
+
+const plain = (policy) => (typeof policy?.toObject === "function" ? policy.toObject() : policy);
+
+// The room's rate plan policy wins over the hotel's; both fall back to the default.
+export const resolvePolicy = (hotel, room) => ({
+  ...DEFAULT_CANCELLATION_POLICY,
+  ...plain(room?.ratePlan?.cancellationPolicy || hotel?.cancellationPolicy),
+});
+
+/**
+* @description This function calculates what a guest gets back when cancelling a
+* booking under a cancellation policy. Once the stay has started nothing is refunded.
+* 
+* @param { object } policy - A cancellation policy, see `models/CancellationPolicy.js`.
+* 
+* @param { object } booking - The booking, with `checkIn` and `totalPrice`.
+* 
+* @param { Date } now - When the cancellation happens. Defaults to the current time.
+* 
+* @returns { object } `{ policy, refundPercent, refundAmount, freeUntil }`, where
+* `freeUntil` is the last moment a free cancellation is possible (or null).
+*/
+export const calculateRefund = (policy, booking, now = new Date()) => {
+  const checkIn = toDay(booking.checkIn);
+  const freeUntil =
+    policy.type === "free" ? new Date(checkIn.getTime() - policy.freeDays * DAY_MS) : null;
+
+  let refundPercent = 0;
+  if (now < checkIn) {
+    if (policy.type === "free") refundPercent = now < freeUntil ? 100 : policy.refundPercent;
+    else if (policy.type === "partial") refundPercent = policy.refundPercent;
+  }
+
+  return {
+    policy,
+    refundPercent,
+    refundAmount: Math.round(booking.totalPrice * refundPercent) / 100,
+    freeUntil,
+  };
+};
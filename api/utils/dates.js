@@ -0,0 +1,38 @@
+import { BadRequestError } from "./error.js";
+
+const MILLISECONDS_PER_DAY = 1000 * 60 * 60 * 24;
+
+// Longest stay that can be searched, quoted or booked.
+export const MAX_STAY_NIGHTS = 30;
+
+// Stay dates are stored as UTC midnights so a night means the same calendar
+// day no matter which timezone the request came from.
+export const toDay = (value) => {
+  const date = new Date(value);
+  if (isNaN(date.getTime())) return null;
+  return new Date(
+    Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate())
+  );
+};
+
+// Number of nights between two days; negative when check-out comes first.
+export const countNights = (checkIn, checkOut) =>
+  (toDay(checkOut).getTime() - toDay(checkIn).getTime()) / MILLISECONDS_PER_DAY;
+
+// Returns every night of a stay: check-in included, check-out excluded. Stays
+// longer than `maxNights` are refused before any night is built.
+export const getNights = (checkIn, checkOut, { maxNights = MAX_STAY_NIGHTS } = {}) => {
+  const start = toDay(checkIn);
+  const end = toDay(checkOut);
+  if (!start || !end) return [];
+  if (countNights(start, end) > maxNights)
+    throw new BadRequestError(`Stays can be at most ${maxNights} nights!`, {
+      code: "STAY_TOO_LONG",
+    });
+
+  const nights = [];
+  for (let time = start.getTime(); time < end.getTime(); time += MILLISECONDS_PER_DAY) {
+    nights.push(new Date(time));
+  }
+  return nights;
+};
@@ -1,6 +1,144 @@
-export const createError = (status, message) => {
-    const err = new Error();
-    err.status = status;
-    err.message = message;
-    return err;
-}
\ No newline at end of file
+import mongoose from "mongoose";
+
+// Stable, machine-readable codes the client can branch on. Messages are for
+// people and may change; codes may not.
+const DEFAULT_CODES = {
+  400: "BAD_REQUEST",
+  401: "UNAUTHENTICATED",
+  402: "PAYMENT_FAILED",
+  403: "FORBIDDEN",
+  404: "NOT_FOUND",
+  409: "CONFLICT",
+  429: "RATE_LIMITED",
+  500: "INTERNAL_ERROR",
+};
+
+export class AppError extends Error {
+  constructor(status, message, { code, details } = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.status = status;
+    this.code = code || DEFAULT_CODES[status] || DEFAULT_CODES[500];
+    if (details) this.details = details;
+  }
+}
+
+export class BadRequestError extends AppError {
+  constructor(message = "Bad request!", options) {
+    super(400, message, options);
+  }
+}
+
+export class ValidationError extends AppError {
+  constructor(message = "Validation failed!", options = {}) {
+    super(400, message, { code: "VALIDATION_FAILED", ...options });
+  }
+}
+
+export class AuthError extends AppError {
+  constructor(message = "You are not authenticated!", options) {
+    super(401, message, options);
+  }
+}
+
+export class PaymentError extends AppError {
+  constructor(message = "Payment failed!", options) {
+    super(402, message, options);
+  }
+}
+
+export class ForbiddenError extends AppError {
+  constructor(message = "You are not authorized!", options) {
+    super(403, message, options);
+  }
+}
+
+export class NotFoundError extends AppError {
+  constructor(message = "Not found!", options) {
+    super(404, message, options);
+  }
+}
+
+export class ConflictError extends AppError {
+  constructor(message = "Conflict!", options) {
+    super(409, message, options);
+  }
+}
+
+export class RateLimitError extends AppError {
+  constructor(message = "Too many requests!", options) {
+    super(429, message, options);
+  }
+}
+
+const ERRORS_BY_STATUS = {
+  400: BadRequestError,
+  401: AuthError,
+  402: PaymentError,
+  403: ForbiddenError,
+  404: NotFoundError,
+  409: ConflictError,
+  429: RateLimitError,
+};
+
+// Kept for the controllers: picks the typed error that matches `status`.
+export const createError = (status, message, details) => {
+  const ErrorType = ERRORS_BY_STATUS[status];
+  return ErrorType
+    ? new ErrorType(message, { details })
+    : new AppError(status, message, { details });
+};
+
+// Translates the errors Mongoose and the MongoDB driver throw into typed ones.
+const fromDatabaseError = (err) => {
+  if (err instanceof mongoose.Error.CastError) {
+    return err.path === "_id"
+      ? new NotFoundError(`No ${err.model?.modelName?.toLowerCase() || "resource"} with this id!`)
+      : new ValidationError(undefined, {
+          details: { errors: [{ field: err.path, message: `${err.path} is invalid` }] },
+        });
+  }
+  if (err instanceof mongoose.Error.ValidationError) {
+    return new ValidationError(undefined, {
+      details: {
+        errors: Object.values(err.errors).map((error) => ({
+          field: error.path,
+          message: error.message,
+        })),
+      },
+    });
+  }
+  if (err?.code === 11000) {
+    const fields = Object.keys(err.keyValue || err.keyPattern || {});
+    return new ConflictError(
+      fields.length ? `${fields.join(", ")} is already taken!` : "Duplicate value!",
+      { code: "DUPLICATE_KEY", details: { fields } }
+    );
+  }
+  return null;
+};
+
+const toAppError = (err) => {
+  if (err instanceof AppError) return err;
+  const databaseError = fromDatabaseError(err);
+  if (databaseError) return databaseError;
+
+  // Errors raised by Express itself, such as a malformed JSON body.
+  const status = err?.status || err?.statusCode;
+  if (status >= 400 && status < 500) return new AppError(status, err.message);
+  return new AppError(500, "Something went wrong!");
+};
+
+export const errorHandler = (err, req, res, next) => {
+  const error = toAppError(err);
+  if (error.status >= 500) console.error(err);
+
+  return res.status(error.status).json({
+    success: false,
+    status: error.status,
+    code: error.code,
+    message: error.message,
+    details: error.details,
+    stack: process.env.NODE_ENV === "development" ? err?.stack : undefined,
+  });
+};
@@ -0,0 +1,82 @@
+import { BadRequestError } from "./error.js";
+
+const EARTH_RADIUS_KM = 6378.1;
+const DEFAULT_RADIUS_KM = 10;
+const MAX_RADIUS_KM = 500;
+
+const toRadians = (degrees) => (degrees * Math.PI) / 180;
+
+// GeoJSON stores longitude first.
+export const toPoint = ({ lat, lng }) => ({ type: "Point", coordinates: [lng, lat] });
+
+// Great-circle distance between two GeoJSON points, in km rounded to 100 m.
+export const distanceKm = (from, to) => {
+  const [lng1, lat1] = from.coordinates;
+  const [lng2, lat2] = to.coordinates;
+  const a =
+    Math.sin(toRadians(lat2 - lat1) / 2) ** 2 +
+    Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(toRadians(lng2 - lng1) / 2) ** 2;
+  const km = 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(a));
+  return Math.round(km * 10) / 10;
+};
+
+const parseNumbers = (value, count, name, example) => {
+  const numbers = String(value).split(",").map((part) => Number(part.trim()));
+  if (numbers.length !== count || numbers.some((number) => isNaN(number)))
+    throw new BadRequestError(`${name} must look like "${example}"!`);
+  return numbers;
+};
+
+const checkLatLng = (lat, lng, name) => {
+  if (Math.abs(lat) > 90 || Math.abs(lng) > 180)
+    throw new BadRequestError(`${name} is outside of the map!`);
+};
+
+/**
+* @description This function turns the geo parameters of a hotel search into
+* conditions on `Hotel.location`. Both use `$geoWithin`, which, unlike `$near`, can
+* be counted and sorted like any other filter.
+* 
+* @param { object } query - The request query: `near` ("lat,lng") with an optional
+* `radius` in km (10 by default, at most 500), and/or `bbox`
+* ("minLng,minLat,maxLng,maxLat").
+* 
+* @returns { object } `{ conditions, origin }`: the conditions to AND into the hotel
+* filter and the `near` point as GeoJSON (or null). Throws a 400 on bad input.
+*/
+export const geoFilter = ({ near, radius, bbox }) => {
+  const conditions = [];
+  let origin = null;
+
+  if (near) {
+    const [lat, lng] = parseNumbers(near, 2, "near", "52.52,13.40");
+    checkLatLng(lat, lng, "near");
+    const km = radius === undefined ? DEFAULT_RADIUS_KM : Number(radius);
+    if (isNaN(km) || km <= 0 || km > MAX_RADIUS_KM)
+      throw new BadRequestError(`radius must be between 0 and ${MAX_RADIUS_KM} km!`);
+    origin = toPoint({ lat, lng });
+    conditions.push({
+      location: { $geoWithin: { $centerSphere: [origin.coordinates, km / EARTH_RADIUS_KM] } },
+    });
+  }
+
+  if (bbox) {
+    const [minLng, minLat, maxLng, maxLat] = parseNumbers(bbox, 4, "bbox", "13.30,52.45,13.50,52.56");
+    checkLatLng(minLat, minLng, "bbox");
+    checkLatLng(maxLat, maxLng, "bbox");
+    if (minLng >= maxLng || minLat >= maxLat)
+      throw new BadRequestError("bbox must list the south-west corner before the north-east one!");
+    conditions.push({
+      location: {
+        $geoWithin: {
+          $geometry: {
+            type: "Polygon",
+            coordinates: [[[minLng, minLat], [maxLng, minLat], [maxLng, maxLat], [minLng, maxLat], [minLng, minLat]]],
+          },
+        },
+      },
+    });
+  }
+
+  return { conditions, origin };
+};
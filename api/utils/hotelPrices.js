@@ -0,0 +1,43 @@
+import mongoose from "mongoose";
+import Hotel from "../models/Hotel.js";
+import Room from "../models/Room.js";
+
+/**
+* @description This function recomputes a hotel's price summary from the rooms it
+* actually has: `cheapestPrice`, `highestPrice` and one `roomPrices` entry per room
+* type. It runs whenever a room is created, repriced or deleted, so the price filter
+* in `getHotels` never works from a stale, hand-typed number. It also keeps
+* `roomFacilities`, the facilities any of the rooms offers, for the same reason.
+* 
+* @param { string } hotelId - The id of the hotel to update.
+* 
+* @returns { object } The updated hotel, or null if it doesn't exist.
+*/
+export const syncHotelPrices = async (hotelId) => {
+  const hotel = await Hotel.findById(hotelId, "rooms");
+  if (!hotel) return null;
+
+  // Legacy hotels may list room ids that aren't ObjectIds; they can't match a room.
+  const rooms = await Room.find(
+    { _id: { $in: hotel.rooms.filter((room) => mongoose.isValidObjectId(room)) } },
+    "title price facilities"
+  );
+  const prices = rooms.map((room) => room.price);
+
+  return Hotel.findByIdAndUpdate(
+    hotelId,
+    {
+      $set: {
+        cheapestPrice: prices.length ? Math.min(...prices) : 0,
+        highestPrice: prices.length ? Math.max(...prices) : 0,
+        roomPrices: rooms.map((room) => ({
+          room: room._id,
+          title: room.title,
+          price: room.price,
+        })),
+        roomFacilities: [...new Set(rooms.flatMap((room) => room.facilities))],
+      },
+    },
+    { new: true }
+  );
+};
@@ -0,0 +1,30 @@
+import fs from "fs/promises";
+import path from "path";
+
+// Transports deliver `{ to, subject, text }` messages. Production setups can
+// register an SMTP or API-backed transport under a new name.
+const transports = {
+  console: async (message) => {
+    console.log(`[mail] to=${message.to} subject="${message.subject}"\n${message.text}`);
+  },
+  file: async (message) => {
+    const dir = process.env.MAIL_DIR || "mail";
+    await fs.mkdir(dir, { recursive: true });
+    const name = `${Date.now()}-${message.to.replace(/[^a-zA-Z0-9@.-]/g, "_")}.json`;
+    await fs.writeFile(path.join(dir, name), JSON.stringify(message, null, 2));
+  },
+};
+
+export const registerTransport = (name, transport) => {
+  transports[name] = transport;
+};
+
+export const sendMail = async (message) => {
+  const name = process.env.MAIL_TRANSPORT || "console";
+  const transport = transports[name];
+  if (!transport) throw new Error(`Unknown mail transport "${name}"`);
+  await transport({ from: process.env.MAIL_FROM || "no-reply@easybooking.local", ...message });
+};
+
+export const clientUrl = (pathname) =>
+  `${process.env.CLIENT_URL || "http://localhost:3000"}${pathname}`;
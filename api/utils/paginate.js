@@ -0,0 +1,106 @@
+import mongoose from "mongoose";
+import { createError } from "./error.js";
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+// Query parameters consumed here; controllers strip them before building filters.
+export const PAGINATION_PARAMS = ["page", "pageSize", "limit", "cursor", "sort"];
+
+const encodeCursor = (doc, field) => {
+  const value = doc[field] ?? null;
+  return Buffer.from(
+    JSON.stringify({
+      v: value instanceof Date ? value.toISOString() : value,
+      d: value instanceof Date,
+      id: doc._id.toString(),
+    })
+  ).toString("base64url");
+};
+
+const decodeCursor = (cursor) => {
+  try {
+    const { v, d, id } = JSON.parse(Buffer.from(cursor, "base64url").toString());
+    if (!mongoose.isValidObjectId(id)) throw new Error();
+    return { value: d ? new Date(v) : v, id: new mongoose.Types.ObjectId(id) };
+  } catch (err) {
+    throw createError(400, "Invalid cursor!");
+  }
+};
+
+// Matches the documents that come after the cursor in `field`/`order` order,
+// using `_id` to break ties between equal values. MongoDB sorts null first.
+const afterCursor = ({ value, id }, field, order) => {
+  const beyond = order === 1 ? "$gt" : "$lt";
+  if (field === "_id") return { _id: { [beyond]: id } };
+
+  const sameValue = { [field]: value, _id: { [beyond]: id } };
+  if (value === null) {
+    return order === 1
+      ? { $or: [sameValue, { [field]: { $ne: null } }] }
+      : sameValue;
+  }
+  const nextValues = { [field]: { [beyond]: value } };
+  return order === 1
+    ? { $or: [nextValues, sameValue] }
+    : { $or: [nextValues, sameValue, { [field]: null }] };
+};
+
+const parseSort = (sort, sorts, defaultSort) => {
+  const key = (sort || defaultSort).replace(/^-/, "");
+  const spec = sorts[key];
+  if (!spec)
+    throw createError(400, `Unknown sort "${key}". Use one of: ${Object.keys(sorts).join(", ")}`);
+  const order = sort?.startsWith("-") ? -spec.order : spec.order;
+  return { key, field: spec.field, order };
+};
+
+/**
+* @description This function runs a paginated, sorted `find` and wraps the result in a
+* response envelope. Clients either ask for a `page` (1-based) or pass back the
+* `nextCursor` of the previous response as `cursor`; cursors stay stable while
+* documents are inserted, pages are simpler to jump between.
+* 
+* @param { object } query - The mongoose query to page through, e.g. `Hotel.find(filter)`.
+* 
+* @param { object } params - The request query: `page`, `pageSize` (or the legacy
+* `limit`), `cursor` and `sort`. `sort` is one of the keys of `options.sorts`,
+* prefixed with `-` to reverse the default direction.
+* 
+* @param { object } options - `sorts` maps sort keys to `{ field, order }` and
+* `defaultSort` names the key used when the client sends none.
+* 
+* @returns { object } `{ data, total, page, pageSize, totalPages, sort, nextCursor }`.
+*/
+export const paginate = async (query, params, { sorts, defaultSort }) => {
+  const pageSize = Math.min(
+    Math.max(parseInt(params.pageSize || params.limit) || DEFAULT_PAGE_SIZE, 1),
+    MAX_PAGE_SIZE
+  );
+  const page = Math.max(parseInt(params.page) || 1, 1);
+  const { key, field, order } = parseSort(params.sort, sorts, defaultSort);
+
+  const filter = query.getFilter();
+  const total = await query.model.countDocuments(filter);
+
+  const pageQuery = query.sort({ [field]: order, _id: order }).limit(pageSize + 1);
+  if (params.cursor) {
+    pageQuery.and([afterCursor(decodeCursor(params.cursor), field, order)]);
+  } else {
+    pageQuery.skip((page - 1) * pageSize);
+  }
+
+  const docs = await pageQuery;
+  const hasMore = docs.length > pageSize;
+  const data = docs.slice(0, pageSize);
+
+  return {
+    data,
+    total,
+    page: params.cursor ? null : page,
+    pageSize,
+    totalPages: Math.ceil(total / pageSize),
+    sort: `${order === sorts[key].order ? "" : "-"}${key}`,
+    nextCursor: hasMore ? encodeCursor(data[data.length - 1], field) : null,
+  };
+};
@@ -0,0 +1,7 @@
+import bcrypt from "bcryptjs";
+
+// Every password written to the database goes through here.
+export const hashPassword = (password) => {
+  const salt = bcrypt.genSaltSync(10);
+  return bcrypt.hashSync(password, salt);
+};
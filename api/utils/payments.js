@@ -0,0 +1,115 @@
+import crypto from "crypto";
+
+// Payment providers share one interface, amounts are in minor units (cents):
+//   createIntent({ amount, currency, metadata }) -> { id, clientSecret, status }
+//   confirmIntent(id, { paymentMethod })          -> { id, status, failureReason }
+//   refund(id, { amount })                        -> { id, status, amount }
+//   parseWebhook(rawBody, headers)                -> { id, type, intentId, amount, failureReason }
+// Intent statuses are "requires_confirmation", "succeeded" and "failed"; webhook
+// event types are "payment.succeeded", "payment.failed" and "refund.succeeded".
+// `parseWebhook` must throw a `WebhookSignatureError` when the signature is wrong.
+
+// Outside production the local mock provider and webhook secret are the defaults.
+// In production both must be configured: with the defaults anyone could sign a
+// `payment.succeeded` webhook or pay with the mock card.
+const REQUIRED_IN_PRODUCTION = ["PAYMENT_PROVIDER", "PAYMENT_WEBHOOK_SECRET"];
+
+const isProduction = () => process.env.NODE_ENV === "production";
+
+// Read lazily: index.js loads .env after the imports have been evaluated.
+const setting = (name, fallback) => {
+  if (process.env[name]) return process.env[name];
+  if (isProduction()) throw new Error(`${name} must be set in production`);
+  return fallback;
+};
+
+// Called on startup so a misconfigured deployment fails before taking traffic.
+export const assertPaymentConfig = () => {
+  if (!isProduction()) return;
+  const missing = REQUIRED_IN_PRODUCTION.filter((name) => !process.env[name]);
+  if (missing.length)
+    throw new Error(`Missing payment configuration in production: ${missing.join(", ")}`);
+};
+
+const webhookSecret = () => setting("PAYMENT_WEBHOOK_SECRET", "whsec_local");
+const SIGNATURE_HEADER = "x-payment-signature";
+const SIGNATURE_TOLERANCE_SECONDS = 5 * 60;
+
+export class WebhookSignatureError extends Error {}
+
+const hmac = (secret, timestamp, rawBody) =>
+  crypto.createHmac("sha256", secret).update(`${timestamp}.${rawBody}`).digest("hex");
+
+// Header format: `t=<unix seconds>,v1=<hex hmac of "<t>.<raw body>">`.
+export const signWebhook = (rawBody, { secret = webhookSecret(), timestamp } = {}) => {
+  const t = timestamp ?? Math.floor(Date.now() / 1000);
+  return `t=${t},v1=${hmac(secret, t, rawBody)}`;
+};
+
+export const verifyWebhookSignature = (
+  rawBody,
+  header,
+  { secret = webhookSecret(), now = Date.now() } = {}
+) => {
+  const parts = Object.fromEntries(
+    String(header || "")
+      .split(",")
+      .map((part) => part.trim().split("="))
+  );
+  const timestamp = Number(parts.t);
+  if (!timestamp || !parts.v1) throw new WebhookSignatureError("Missing webhook signature");
+  if (Math.abs(now / 1000 - timestamp) > SIGNATURE_TOLERANCE_SECONDS)
+    throw new WebhookSignatureError("Webhook signature has expired");
+
+  const expected = Buffer.from(hmac(secret, timestamp, rawBody), "hex");
+  const actual = Buffer.from(parts.v1, "hex");
+  if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected))
+    throw new WebhookSignatureError("Invalid webhook signature");
+};
+
+const digest = (...parts) =>
+  crypto.createHash("sha256").update(parts.join(":")).digest("hex").slice(0, 24);
+
+// Local provider with no external service. Ids derive from the inputs, so the same
+// booking always gets the same intent, and the outcome of a confirmation depends
+// only on the payment method: "pm_card_declined" fails, anything else succeeds.
+export const MOCK_DECLINED_METHOD = "pm_card_declined";
+
+const mock = {
+  createIntent: async ({ amount, currency, metadata = {} }) => {
+    const id = `pi_mock_${digest(metadata.booking, amount, currency)}`;
+    return { id, clientSecret: `${id}_secret`, status: "requires_confirmation" };
+  },
+  confirmIntent: async (id, { paymentMethod }) =>
+    paymentMethod === MOCK_DECLINED_METHOD
+      ? { id, status: "failed", failureReason: "Your card was declined." }
+      : { id, status: "succeeded" },
+  refund: async (id, { amount }) => ({
+    id: `re_mock_${digest(id, amount)}`,
+    status: "succeeded",
+    amount,
+  }),
+  parseWebhook: (rawBody, headers) => {
+    verifyWebhookSignature(rawBody, headers[SIGNATURE_HEADER]);
+    return JSON.parse(rawBody);
+  },
+};
+
+const providers = { mock };
+
+export const registerProvider = (name, provider) => {
+  providers[name] = provider;
+};
+
+export const providerName = () => setting("PAYMENT_PROVIDER", "mock");
+
+export const paymentProvider = (name = providerName()) => {
+  const provider = providers[name];
+  if (!provider) throw new Error(`Unknown payment provider "${name}"`);
+  return provider;
+};
+
+export const paymentCurrency = () => process.env.PAYMENT_CURRENCY || "usd";
+
+export const toMinorUnits = (amount) => Math.round(amount * 100);
+export const fromMinorUnits = (amount) => amount / 100;
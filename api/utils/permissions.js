@@ -0,0 +1,42 @@
+export const ROLES = ["guest", "manager", "admin"];
+
+// What each role may do. `:own` permissions are only granted on resources the
+// user owns; the ownership itself is checked by the middleware in verifyToken.js.
+const PERMISSIONS = {
+  guest: [
+    "booking:create",
+    "booking:read:own",
+    "booking:cancel:own",
+    "review:create",
+    "user:read:own",
+    "user:update:own",
+    "user:delete:own",
+  ],
+  manager: [
+    "booking:create",
+    "booking:read:own",
+    "booking:cancel:own",
+    "review:create",
+    "user:read:own",
+    "user:update:own",
+    "user:delete:own",
+    "hotel:create",
+    "hotel:update:own",
+    "hotel:delete:own",
+    "room:manage:own",
+    "booking:read:hotel:own",
+    "review:reply:own",
+  ],
+  admin: ["*"],
+};
+
+// Accounts created before roles existed only carry the `isAdmin` flag.
+export const roleOf = (user) => {
+  if (user.isAdmin) return "admin";
+  return ROLES.includes(user.role) ? user.role : "guest";
+};
+
+export const hasPermission = (role, permission) => {
+  const granted = PERMISSIONS[role] || [];
+  return granted.includes("*") || granted.includes(permission);
+};
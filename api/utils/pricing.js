@@ -0,0 +1,73 @@
+import { getNights, toDay } from "./dates.js";
+
+const DEFAULT_WEEKEND_DAYS = [5, 6];
+
+const dayKey = (date) => toDay(date).getTime();
+
+const seasonFor = (ratePlan, night) =>
+  (ratePlan?.seasons || []).find(
+    (season) => dayKey(season.startDate) <= night.getTime() && night.getTime() <= dayKey(season.endDate)
+  );
+
+// Prices one night. Precedence: per-date override, then season, then the
+// plan's weekend price, then the room's base price.
+export const priceNight = (room, night) => {
+  const ratePlan = room.ratePlan || {};
+  const weekendDays = ratePlan.weekendDays?.length ? ratePlan.weekendDays : DEFAULT_WEEKEND_DAYS;
+  const isWeekend = weekendDays.includes(night.getUTCDay());
+  const date = night.toISOString().slice(0, 10);
+
+  const override = (ratePlan.overrides || []).find((item) => dayKey(item.date) === night.getTime());
+  if (override?.closed) return { date, price: null, source: "closed" };
+  if (override?.price !== undefined && override?.price !== null)
+    return { date, price: override.price, source: "override" };
+
+  const season = seasonFor(ratePlan, night);
+  if (season) {
+    const price = isWeekend && season.weekendPrice != null ? season.weekendPrice : season.price;
+    return { date, price, source: `season:${season.name || "unnamed"}` };
+  }
+
+  if (isWeekend && ratePlan.weekendPrice != null)
+    return { date, price: ratePlan.weekendPrice, source: "weekend" };
+  return { date, price: room.price, source: "base" };
+};
+
+/**
+* @description This function builds a night-by-night quote for one room of the given
+* room type. The minimum stay is the stricter of the plan's and the check-in
+* season's; a quote that breaks it, or that touches a closed date, is returned with
+* `available: false` and a `reason`.
+* 
+* @param { object } room - The Room document (or plain object) with `price` and `ratePlan`.
+* 
+* @param { any } checkIn - The check-in date.
+* 
+* @param { any } checkOut - The check-out date.
+* 
+* @returns { object } `{ room, title, nights, total, minStay, available, reason }`.
+*/
+export const quoteRoom = (room, checkIn, checkOut) => {
+  const nights = getNights(checkIn, checkOut).map((night) => priceNight(room, night));
+  const season = nights.length ? seasonFor(room.ratePlan, toDay(checkIn)) : null;
+  const minStay = Math.max(room.ratePlan?.minStay || 1, season?.minStay || 1);
+
+  const quote = {
+    room: room._id,
+    title: room.title,
+    nights,
+    total: nights.reduce((sum, night) => sum + (night.price || 0), 0),
+    minStay,
+    available: true,
+  };
+
+  const closed = nights.filter((night) => night.source === "closed");
+  if (closed.length) {
+    quote.available = false;
+    quote.reason = `Closed on: ${closed.map((night) => night.date).join(", ")}`;
+  } else if (nights.length < minStay) {
+    quote.available = false;
+    quote.reason = `Minimum stay is ${minStay} nights`;
+  }
+  return quote;
+};
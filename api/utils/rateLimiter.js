@@ -0,0 +1,112 @@
+import { RateLimitError } from "./error.js";
+
+const MINUTE = 60 * 1000;
+const MAX_ENTRIES = 10000;
+
+// Counters live behind a small storage interface so a shared store (e.g. Redis)
+// can replace this one when the API runs on more than one process:
+//   increment(key, windowMs) -> { count, resetAt }
+//   get(key)                 -> { count, resetAt } or null
+//   reset(key)
+export const createMemoryStore = ({ now = Date.now } = {}) => {
+  const entries = new Map();
+
+  const prune = () => {
+    entries.forEach((entry, key) => {
+      if (entry.resetAt <= now()) entries.delete(key);
+    });
+  };
+
+  const live = (key) => {
+    const entry = entries.get(key);
+    if (entry && entry.resetAt <= now()) {
+      entries.delete(key);
+      return null;
+    }
+    return entry || null;
+  };
+
+  return {
+    async increment(key, windowMs) {
+      if (entries.size > MAX_ENTRIES) prune();
+      const entry = live(key) || { count: 0, resetAt: now() + windowMs };
+      entry.count += 1;
+      entries.set(key, entry);
+      return { ...entry };
+    },
+    async get(key) {
+      const entry = live(key);
+      return entry ? { ...entry } : null;
+    },
+    async reset(key) {
+      entries.delete(key);
+    },
+  };
+};
+
+/**
+* @description This function creates the login throttle. Every attempt counts against
+* the client's IP; failed attempts also count against the username, and too many of
+* those lock the username for a while whether or not the account exists, so the lock
+* itself gives nothing away.
+* 
+* @param { object } options - `store` holds the counters; `ipLimit`/`ipWindowMs` cap
+* attempts per IP, `maxFailures`/`failureWindowMs` and `lockoutMs` control the
+* per-account lockout.
+* 
+* @returns { object } `{ check, recordFailure, recordSuccess }`.
+*/
+export const createLoginLimiter = ({
+  store = createMemoryStore(),
+  now = Date.now,
+  ipLimit = 30,
+  ipWindowMs = 15 * MINUTE,
+  maxFailures = 5,
+  failureWindowMs = 15 * MINUTE,
+  lockoutMs = 15 * MINUTE,
+} = {}) => {
+  const accountKey = (username) => String(username || "").trim().toLowerCase();
+
+  const retryAfter = (entry) => Math.max(Math.ceil((entry.resetAt - now()) / 1000), 1);
+
+  return {
+    // Resolves to the number of seconds to wait, or 0 when the attempt may go ahead.
+    async check(ip, username) {
+      const lock = await store.get(`lock:${accountKey(username)}`);
+      if (lock) return retryAfter(lock);
+
+      const attempts = await store.increment(`ip:${ip}`, ipWindowMs);
+      if (attempts.count > ipLimit) return retryAfter(attempts);
+      return 0;
+    },
+    async recordFailure(username) {
+      const key = accountKey(username);
+      const failures = await store.increment(`fail:${key}`, failureWindowMs);
+      if (failures.count >= maxFailures) {
+        await store.increment(`lock:${key}`, lockoutMs);
+        await store.reset(`fail:${key}`);
+      }
+    },
+    async recordSuccess(username) {
+      await store.reset(`fail:${accountKey(username)}`);
+    },
+  };
+};
+
+export const loginLimiter = createLoginLimiter();
+
+export const limitLoginAttempts = (limiter = loginLimiter) => async (req, res, next) => {
+  try {
+    const wait = await limiter.check(req.ip, req.body.username);
+    if (!wait) return next();
+    res.set("Retry-After", String(wait));
+    next(
+      new RateLimitError(
+        `Too many login attempts. Try again in ${Math.ceil(wait / 60)} minute(s).`,
+        { code: "TOO_MANY_LOGIN_ATTEMPTS", details: { retryAfter: wait } }
+      )
+    );
+  } catch (err) {
+    next(err);
+  }
+};
@@ -0,0 +1,18 @@
+import Booking, { ACTIVE_BOOKING_STATUSES } from "../models/Booking.js";
+import Hotel from "../models/Hotel.js";
+
+// Rooms created before `Room.hotel` existed are only linked from `Hotel.rooms`.
+export const hotelOfRoom = (room, projection) =>
+  room.hotel
+    ? Hotel.findById(room.hotel, projection)
+    : Hotel.findOne({ rooms: room._id.toString() }, projection);
+
+// True when an active booking matching `filter` hasn't checked out yet.
+export const hasUpcomingBookings = async (filter) =>
+  Boolean(
+    await Booking.exists({
+      ...filter,
+      status: { $in: ACTIVE_BOOKING_STATUSES },
+      checkOut: { $gt: new Date() },
+    })
+  );
@@ -0,0 +1,73 @@
+// Decides which fields of each model leave the API. Controllers pass every
+// document through one of these before responding instead of sending the raw
+// Mongoose document. Audiences: "public" (anyone), "self" (the user the data
+// belongs to, or the owner of the resource) and "admin".
+
+const plain = (doc) => (typeof doc?.toObject === "function" ? doc.toObject() : doc);
+
+const pick = (doc, fields) =>
+  Object.fromEntries(fields.filter((field) => doc[field] !== undefined).map((field) => [field, doc[field]]));
+
+const omit = (doc, fields) =>
+  Object.fromEntries(Object.entries(doc).filter(([field]) => !fields.includes(field)));
+
+// Populated references are objects, unpopulated ones are plain ids.
+const isPopulated = (value) => value && typeof value === "object" && "_id" in value;
+
+const USER_FIELDS = {
+  public: ["_id", "username"],
+  self: ["_id", "username", "email", "role", "isVerified", "createdAt", "updatedAt"],
+  admin: [
+    "_id",
+    "username",
+    "email",
+    "role",
+    "isAdmin",
+    "isVerified",
+    "isActive",
+    "passwordChangedAt",
+    "createdAt",
+    "updatedAt",
+  ],
+};
+
+export const userAudience = (viewer, userId) => {
+  if (viewer?.isAdmin) return "admin";
+  if (viewer && viewer.id === String(userId)) return "self";
+  return "public";
+};
+
+export const serializeUser = (user, audience = "public") =>
+  user ? pick(plain(user), USER_FIELDS[audience] || USER_FIELDS.public) : user;
+
+export const serializeHotel = (hotel, audience = "public") => {
+  if (!hotel) return hotel;
+  const data = plain(hotel);
+  return audience === "public" ? omit(data, ["owner", "__v"]) : omit(data, ["__v"]);
+};
+
+export const serializeRoom = (room) => (room ? omit(plain(room), ["__v"]) : room);
+
+export const serializeBooking = (booking) => {
+  if (!booking) return booking;
+  const data = omit(plain(booking), ["__v"]);
+  if (isPopulated(data.user)) data.user = serializeUser(data.user, "self");
+  if (isPopulated(data.hotel)) data.hotel = serializeHotel(data.hotel);
+  return data;
+};
+
+export const serializeReview = (review) => {
+  if (!review) return review;
+  const data = omit(plain(review), ["__v"]);
+  if (isPopulated(data.user)) data.user = serializeUser(data.user);
+  if (isPopulated(data.hotel)) data.hotel = serializeHotel(data.hotel);
+  return data;
+};
+
+export const serializePayment = (payment) => (payment ? omit(plain(payment), ["__v"]) : payment);
+
+// Applies a serializer to the `data` of a page envelope from `paginate`.
+export const serializePage = (page, serializer, ...args) => ({
+  ...page,
+  data: page.data.map((doc) => serializer(doc, ...args)),
+});
@@ -0,0 +1,49 @@
+// Escapes user input so it can be embedded in a RegExp and match literally.
+export const escapeRegex = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Number of single-character edits (insertions, deletions, substitutions)
+// needed to turn `a` into `b`.
+export const levenshtein = (a, b) => {
+  if (a === b) return 0;
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+};
+
+// Short words tolerate fewer typos, otherwise "rome" would match "home".
+export const maxTypos = (term) => (term.length <= 4 ? 0 : term.length <= 7 ? 1 : 2);
+
+// Case- and accent-insensitive form used to compare words.
+export const fold = (value) =>
+  String(value).normalize("NFD").replace(/[\u0300-\u036f]/g, "").toLowerCase();
+
+// Words of at least two letters or digits, as written.
+export const tokenize = (value) =>
+  String(value || "")
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter((word) => word.length >= 2);
+
+// The entries of `vocabulary` that are within typo distance of `term`, closest
+// first. With `prefix`, only the start of each entry is compared, for autocomplete.
+export const fuzzyMatches = (term, vocabulary, { prefix = false } = {}) => {
+  const needle = fold(term);
+  const limit = maxTypos(needle);
+  return vocabulary
+    .map((word) => {
+      const folded = fold(word);
+      return { word, distance: levenshtein(needle, prefix ? folded.slice(0, needle.length) : folded) };
+    })
+    .filter(({ distance }) => distance <= limit)
+    .sort((a, b) => a.distance - b.distance)
+    .map(({ word }) => word);
+};
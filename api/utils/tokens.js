@@ -0,0 +1,80 @@
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+import Session from "../models/Session.js";
+import Token from "../models/Token.js";
+import { roleOf } from "./permissions.js";
+
+// Read lazily: index.js loads .env after the imports have been evaluated.
+const accessTokenMinutes = () => parseInt(process.env.ACCESS_TOKEN_MINUTES) || 15;
+const refreshTokenDays = () => parseInt(process.env.REFRESH_TOKEN_DAYS) || 7;
+
+export const hashToken = (token) =>
+  crypto.createHash("sha256").update(token).digest("hex");
+
+export const signAccessToken = (user) => {
+  const role = roleOf(user);
+  return jwt.sign(
+    { id: user._id, isAdmin: role === "admin", role },
+    process.env.JWT,
+    { expiresIn: `${accessTokenMinutes()}m` }
+  );
+};
+
+// Refresh tokens are random strings; only their hash is stored so a leaked
+// sessions collection can't be replayed.
+export const createSession = async (user, req) => {
+  const refreshToken = crypto.randomBytes(48).toString("hex");
+  const session = await new Session({
+    user: user._id,
+    tokenHash: hashToken(refreshToken),
+    expiresAt: new Date(Date.now() + refreshTokenDays() * 24 * 60 * 60 * 1000),
+    userAgent: req.get("user-agent"),
+  }).save();
+  return { session, refreshToken };
+};
+
+export const revokeUserSessions = (userId) =>
+  Session.updateMany(
+    { user: userId, revokedAt: { $exists: false } },
+    { $set: { revokedAt: new Date() } }
+  );
+
+export const setAuthCookies = (res, user, { session, refreshToken }) =>
+  res
+    .cookie("access_token", signAccessToken(user), {
+      httpOnly: true,
+      sameSite: "lax",
+      maxAge: accessTokenMinutes() * 60 * 1000,
+    })
+    .cookie("refresh_token", refreshToken, {
+      httpOnly: true,
+      sameSite: "lax",
+      expires: session.expiresAt,
+    });
+
+export const clearAuthCookies = (res) =>
+  res.clearCookie("access_token").clearCookie("refresh_token");
+
+export const createOneTimeToken = async (userId, type, minutes) => {
+  const token = crypto.randomBytes(32).toString("hex");
+  await new Token({
+    user: userId,
+    type,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + minutes * 60 * 1000),
+  }).save();
+  return token;
+};
+
+// Marks the token used in the same update that finds it, so it can't be
+// redeemed twice. Resolves to null when it is unknown, used or expired.
+export const consumeOneTimeToken = (token, type) =>
+  Token.findOneAndUpdate(
+    {
+      tokenHash: hashToken(token),
+      type,
+      usedAt: { $exists: false },
+      expiresAt: { $gt: new Date() },
+    },
+    { $set: { usedAt: new Date() } }
+  );
@@ -0,0 +1,138 @@
+import mongoose from "mongoose";
+import { ValidationError } from "./error.js";
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const isBlank = (value) =>
+  value === undefined || value === null || (typeof value === "string" && value.trim() === "");
+
+// Each coercer returns `{ value }` on success or `{ error }` with a message.
+const coercers = {
+  string: (value, rule) => {
+    if (typeof value !== "string" && typeof value !== "number")
+      return { error: "must be a string" };
+    const text = rule.trim === false ? String(value) : String(value).trim();
+    if (rule.minLength && text.length < rule.minLength)
+      return { error: `must be at least ${rule.minLength} characters` };
+    if (rule.maxLength && text.length > rule.maxLength)
+      return { error: `must be at most ${rule.maxLength} characters` };
+    if (rule.pattern && !rule.pattern.test(text))
+      return { error: rule.patternMessage || "has an invalid format" };
+    return { value: rule.lowercase ? text.toLowerCase() : text };
+  },
+  email: (value) => {
+    if (typeof value !== "string" || !EMAIL_PATTERN.test(value.trim()))
+      return { error: "must be a valid email address" };
+    return { value: value.trim().toLowerCase() };
+  },
+  number: (value, rule) => {
+    const number = typeof value === "string" ? Number(value.trim()) : value;
+    if (typeof number !== "number" || isNaN(number))
+      return { error: "must be a number" };
+    if (rule.integer && !Number.isInteger(number))
+      return { error: "must be a whole number" };
+    if (rule.min !== undefined && number < rule.min)
+      return { error: `must be at least ${rule.min}` };
+    if (rule.max !== undefined && number > rule.max)
+      return { error: `must be at most ${rule.max}` };
+    return { value: number };
+  },
+  boolean: (value) => {
+    if (typeof value === "boolean") return { value };
+    if (value === "true" || value === 1 || value === "1") return { value: true };
+    if (value === "false" || value === 0 || value === "0") return { value: false };
+    return { error: "must be true or false" };
+  },
+  date: (value) => {
+    const date = new Date(value);
+    if (isNaN(date.getTime())) return { error: "must be a valid date" };
+    return { value: date };
+  },
+  objectId: (value) => {
+    if (!mongoose.isValidObjectId(value)) return { error: "must be a valid id" };
+    return { value: String(value) };
+  },
+};
+
+const checkField = (value, rule, field, errors) => {
+  if (rule.type === "array") {
+    if (!Array.isArray(value)) {
+      errors.push({ field, message: "must be a list" });
+      return undefined;
+    }
+    if (rule.minItems && value.length < rule.minItems) {
+      errors.push({ field, message: `must contain at least ${rule.minItems} item(s)` });
+      return undefined;
+    }
+    return value.map((item, i) => checkField(item, rule.items, `${field}[${i}]`, errors));
+  }
+
+  if (rule.type === "object") {
+    if (typeof value !== "object" || value === null || Array.isArray(value)) {
+      errors.push({ field, message: "must be an object" });
+      return undefined;
+    }
+    return checkSchema(value, rule.fields, { partial: false, prefix: `${field}.` }, errors);
+  }
+
+  const { value: coerced, error } = coercers[rule.type](value, rule);
+  if (error) {
+    errors.push({ field, message: `${field} ${error}` });
+    return undefined;
+  }
+  if (rule.enum && !rule.enum.includes(coerced)) {
+    errors.push({ field, message: `${field} must be one of: ${rule.enum.join(", ")}` });
+    return undefined;
+  }
+  return coerced;
+};
+
+// Returns only the fields the schema knows about, coerced to their types.
+const checkSchema = (input = {}, schema, { partial, prefix = "" }, errors) => {
+  const output = {};
+  Object.entries(schema).forEach(([name, rule]) => {
+    const field = `${prefix}${name}`;
+    const value = input[name];
+
+    if (isBlank(value)) {
+      if (rule.required && !partial) {
+        errors.push({ field, message: `${field} is required` });
+      } else if (rule.default !== undefined && !partial) {
+        output[name] = rule.default;
+      }
+      return;
+    }
+
+    const checked = checkField(value, rule, field, errors);
+    if (checked !== undefined) output[name] = checked;
+  });
+  return output;
+};
+
+/**
+* @description This function builds a middleware that validates `req[source]` against
+* a declarative schema before the controller runs. Unknown fields are dropped, known
+* fields are coerced to their declared type and any problem is reported as a 400
+* error whose `details.errors` lists `{ field, message }` pairs.
+* 
+* @param { object } schema - Maps field names to rules such as `{ type: "string",
+* required: true, maxLength: 50 }`. Supported types are string, email, number,
+* boolean, date, objectId, array (with `items`) and object (with `fields`).
+* 
+* @param { object } options - `partial: true` skips `required` checks and defaults,
+* for updates. `source` selects the request property to validate (default `body`).
+* `check` receives the coerced values once every field is valid and returns more
+* `{ field, message }` errors, for rules that span several fields.
+* 
+* @returns { function } An Express middleware.
+*/
+export const validate = (schema, { partial = false, source = "body", check } = {}) =>
+  (req, res, next) => {
+    const errors = [];
+    const values = checkSchema(req[source], schema, { partial }, errors);
+    if (!errors.length && check) errors.push(...check(values));
+    if (errors.length)
+      return next(new ValidationError(undefined, { details: { errors } }));
+    req[source] = values;
+    next();
+  };
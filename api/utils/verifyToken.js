@@ -1,35 +1,118 @@
 import jwt from "jsonwebtoken";
-import { createError } from "./error.js";
+import Hotel from "../models/Hotel.js";
+import Room from "../models/Room.js";
+import User from "../models/User.js";
+import { AuthError, ForbiddenError, createError } from "./error.js";
+import { hasPermission, roleOf } from "./permissions.js";
+import { hotelOfRoom } from "./references.js";
+
+// Access tokens issued before the last password change are void, so a stolen
+// token stops working once the password is reset. `iat` has second precision.
+const issuedBeforePasswordChange = (payload, user) =>
+  Boolean(user.passwordChangedAt) &&
+  payload.iat < Math.floor(user.passwordChangedAt.getTime() / 1000);
 
 export const verifyToken = (req, res, next) => {
   const token = req.cookies.access_token;
   if (!token) {
-    return next(createError(401, "You are noy authenticated!"));
+    return next(createError(401, "You are not authenticated!"));
   }
 
-  jwt.verify(token, process.env.JWT, (err, user) => {
-    if (err) return next(createError(403, "Token is not valid"));
-    req.user = user;
+  jwt.verify(token, process.env.JWT, async (err, payload) => {
+    if (err)
+      return next(
+        new AuthError("Token is not valid!", {
+          code: err.name === "TokenExpiredError" ? "TOKEN_EXPIRED" : "TOKEN_INVALID",
+        })
+      );
+    let user;
+    try {
+      user = await User.findById(payload.id, "passwordChangedAt isActive role isAdmin");
+      if (!user || issuedBeforePasswordChange(payload, user))
+        return next(new AuthError("Token has been revoked!", { code: "TOKEN_REVOKED" }));
+      // Deactivation takes effect at once, not when the access token expires.
+      if (user.isActive === false)
+        return next(
+          new ForbiddenError("This account has been deactivated!", { code: "ACCOUNT_DISABLED" })
+        );
+    } catch (error) {
+      return next(error);
+    }
+    // The role is read from the account too, so a demotion applies at once.
+    const role = roleOf(user);
+    req.user = { id: payload.id, role, isAdmin: role === "admin" };
     next();
   });
 };
 
+// Authenticates the request, then runs `check` against `req.user`. `check`
+// resolves to true to let the request through.
+const authorize = (check) => (req, res, next) => {
+  verifyToken(req, res, async (err) => {
+    if (err) return next(err);
+    try {
+      if (await check(req)) return next();
+      next(createError(403, "You are not authorized!"));
+    } catch (error) {
+      next(error);
+    }
+  });
+};
+
+// Lets admins through and users only on their own account, if their role
+// grants the given `:own` permission.
+export const verifyUser = (permission) =>
+  authorize(
+    (req) =>
+      req.user.isAdmin ||
+      (req.user.id === req.params.id && hasPermission(req.user.role, permission))
+  );
+
+export const verifyAdmin = authorize((req) => req.user.isAdmin);
+
+export const verifyRole = (...roles) =>
+  authorize((req) => roles.includes(req.user.role));
+
+export const verifyPermission = (permission) =>
+  authorize((req) => hasPermission(req.user.role, permission));
+
+const ownsHotel = (user, hotel) =>
+  Boolean(hotel?.owner) && hotel.owner.toString() === user.id;
 
-export const verifyUser = (req,res,next) => {
-    verifyToken(req,res,next, () => {
-        if(req.user.id === req.params.id || req.user.isAdmin){
-            next()
-        } else{
-            if(err) return next(createError(403, "You are not authorized"))
-        }
-    })
-}
-export const verifyAdmin = (req,res,next) => {
-    verifyToken(req,res,next, () => {
-        if(req.user.isAdmin){
-            next()
-        } else{
-            if(err) return next(createError(403, "You are not authorized"))
-        }
-    })
-}
\ No newline at end of file
+// Lets admins through and managers only for hotels they own. `param` names the
+// route parameter holding the hotel id.
+export const verifyHotelOwner = (permission, param = "id") =>
+  authorize(async (req) => {
+    if (req.user.isAdmin) return true;
+    if (!hasPermission(req.user.role, permission)) return false;
+    const hotel = await Hotel.findById(req.params[param], "owner");
+    if (!hotel) throw createError(404, "Hotel not found!");
+    return ownsHotel(req.user, hotel);
+  });
+
+// Same as `verifyHotelOwner`, for routes that only know the room id.
+export const verifyRoomOwner = (param = "id") =>
+  authorize(async (req) => {
+    if (req.user.isAdmin) return true;
+    if (!hasPermission(req.user.role, "room:manage:own")) return false;
+    const room = await Room.findById(req.params[param], "hotel");
+    if (!room) return true; // let the controller answer 404
+    return ownsHotel(req.user, await hotelOfRoom(room, "owner"));
+  });
+
+// Runs after one of the middlewares above; booking needs a confirmed email.
+export const verifyEmailConfirmed = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user.id, "isVerified");
+    if (!user) return next(createError(401, "You are not authenticated!"));
+    if (!user.isVerified)
+      return next(
+        new ForbiddenError("Please verify your email address before booking!", {
+          code: "EMAIL_NOT_VERIFIED",
+        })
+      );
+    next();
+  } catch (err) {
+    next(err);
+  }
+};
@@ -0,0 +1,41 @@
+const passwordRule = { type: "string", required: true, minLength: 6, maxLength: 128, trim: false };
+
+export const registerSchema = {
+  username: {
+    type: "string",
+    required: true,
+    minLength: 3,
+    maxLength: 30,
+    pattern: /^[a-zA-Z0-9_.-]+$/,
+    patternMessage: "may only contain letters, numbers, dots, dashes and underscores",
+  },
+  email: { type: "email", required: true },
+  password: passwordRule,
+};
+
+export const loginSchema = {
+  username: { type: "string", required: true },
+  password: { type: "string", required: true, trim: false },
+};
+
+export const verifyEmailSchema = {
+  token: { type: "string", required: true, maxLength: 200 },
+};
+
+export const resendVerificationSchema = {
+  email: { type: "email", required: true },
+};
+
+export const forgotPasswordSchema = {
+  email: { type: "email", required: true },
+};
+
+export const resetPasswordSchema = {
+  token: { type: "string", required: true, maxLength: 200 },
+  password: passwordRule,
+};
+
+export const changePasswordSchema = {
+  currentPassword: { type: "string", required: true, trim: false },
+  newPassword: passwordRule,
+};
@@ -0,0 +1,58 @@
+import { MAX_STAY_NIGHTS, countNights } from "../utils/dates.js";
+
+// Shared by quotes and bookings: a stay starts today or later (give or take a
+// timezone) and lasts from one night up to MAX_STAY_NIGHTS.
+export const checkStay = ({ checkIn, checkOut }) => {
+  if (!checkIn || !checkOut) return [];
+  const errors = [];
+  // The guest's local date can be a day off the UTC one, so a check-in dated
+  // yesterday in UTC may still be today for them.
+  if (countNights(new Date(), checkIn) < -1)
+    errors.push({ field: "checkIn", message: "checkIn can't be in the past" });
+
+  const nights = countNights(checkIn, checkOut);
+  if (nights < 1)
+    errors.push({ field: "checkOut", message: "checkOut must be after checkIn" });
+  else if (nights > MAX_STAY_NIGHTS)
+    errors.push({
+      field: "checkOut",
+      message: `checkOut must be at most ${MAX_STAY_NIGHTS} nights after checkIn`,
+    });
+  return errors;
+};
+
+export const quoteSchema = {
+  checkIn: { type: "date", required: true },
+  checkOut: { type: "date", required: true },
+  rooms: { type: "number", integer: true, min: 1, default: 1 },
+};
+
+const roomSelectionSchema = {
+  room: { type: "objectId", required: true },
+  roomNumbers: { type: "array", required: true, minItems: 1, items: { type: "objectId" } },
+};
+
+// A booking names either several room types in `rooms` or one in `room` + `roomNumbers`.
+export const checkBooking = (values) => {
+  const errors = checkStay(values);
+  if (values.rooms && values.room)
+    errors.push({ field: "rooms", message: "rooms can't be combined with room" });
+  else if (!values.rooms && !values.room)
+    errors.push({ field: "rooms", message: "rooms is required" });
+  else if (values.room && !values.roomNumbers)
+    errors.push({ field: "roomNumbers", message: "roomNumbers is required" });
+  else if (values.rooms && new Set(values.rooms.map((item) => item.room)).size !== values.rooms.length)
+    errors.push({ field: "rooms", message: "rooms can list each room type only once" });
+  return errors;
+};
+
+export const bookingSchema = {
+  hotel: { type: "objectId", required: true },
+  rooms: { type: "array", minItems: 1, items: { type: "object", fields: roomSelectionSchema } },
+  room: { type: "objectId" },
+  roomNumbers: { type: "array", minItems: 1, items: { type: "objectId" } },
+  checkIn: { type: "date", required: true },
+  checkOut: { type: "date", required: true },
+  adults: { type: "number", integer: true, min: 1, default: 1 },
+  children: { type: "number", integer: true, min: 0, default: 0 },
+};
@@ -0,0 +1,4 @@
+export const coordinatesSchema = {
+  lat: { type: "number", required: true, min: -90, max: 90 },
+  lng: { type: "number", required: true, min: -180, max: 180 },
+};
@@ -0,0 +1,19 @@
+export const HOME_COLLECTION_KINDS = ["destinations", "types", "hotels"];
+
+export const homeCollectionSchema = {
+  title: { type: "string", required: true, maxLength: 120 },
+  kind: { type: "string", required: true, enum: HOME_COLLECTION_KINDS },
+  items: {
+    type: "array",
+    items: {
+      type: "object",
+      fields: {
+        key: { type: "string", required: true, maxLength: 120 },
+        image: { type: "string", maxLength: 2000 },
+      },
+    },
+  },
+  limit: { type: "number", integer: true, min: 1, max: 12 },
+  position: { type: "number", integer: true },
+  isActive: { type: "boolean" },
+};
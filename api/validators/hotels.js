@@ -0,0 +1,41 @@
+import { coordinatesSchema } from "./cities.js";
+
+export const HOTEL_TYPES = ["hotel", "apartment", "resort", "villa", "cabin"];
+
+export const HOTEL_AMENITIES = [
+  "wifi",
+  "parking",
+  "breakfast",
+  "pool",
+  "accessibility",
+  "airport-shuttle",
+  "restaurant",
+  "fitness",
+  "spa",
+  "pets",
+  "family-rooms",
+];
+
+export const cancellationPolicySchema = {
+  type: "object",
+  fields: {
+    type: { type: "string", required: true, enum: ["free", "partial", "non-refundable"] },
+    freeDays: { type: "number", integer: true, min: 0, max: 365 },
+    refundPercent: { type: "number", min: 0, max: 100 },
+  },
+};
+
+export const hotelSchema = {
+  name: { type: "string", required: true, maxLength: 120 },
+  type: { type: "string", required: true, lowercase: true, enum: HOTEL_TYPES },
+  city: { type: "string", required: true, maxLength: 80 },
+  address: { type: "string", required: true, maxLength: 200 },
+  location: { type: "object", fields: coordinatesSchema },
+  photos: { type: "array", items: { type: "string", maxLength: 2000 } },
+  amenities: { type: "array", items: { type: "string", lowercase: true, enum: HOTEL_AMENITIES } },
+  title: { type: "string", required: true, maxLength: 200 },
+  desc: { type: "string", required: true, maxLength: 5000 },
+  featured: { type: "boolean" },
+  owner: { type: "objectId" },
+  cancellationPolicy: cancellationPolicySchema,
+};
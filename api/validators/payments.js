@@ -0,0 +1,3 @@
+export const confirmPaymentSchema = {
+  paymentMethod: { type: "string", required: true, trim: true, maxLength: 100 },
+};
@@ -0,0 +1,19 @@
+const score = { type: "number", required: true, integer: true, min: 1, max: 5 };
+
+export const reviewSchema = {
+  booking: { type: "objectId", required: true },
+  scores: {
+    type: "object",
+    required: true,
+    fields: { cleanliness: score, location: score, staff: score, value: score },
+  },
+  text: { type: "string", required: true, minLength: 10, maxLength: 2000 },
+};
+
+export const moderateReviewSchema = {
+  status: { type: "string", required: true, enum: ["published", "hidden"] },
+};
+
+export const replyReviewSchema = {
+  text: { type: "string", required: true, maxLength: 2000 },
+};
@@ -0,0 +1,73 @@
+import { cancellationPolicySchema } from "./hotels.js";
+
+export const ROOM_FACILITIES = [
+  "air-conditioning",
+  "private-bathroom",
+  "kitchen",
+  "balcony",
+  "tv",
+  "desk",
+  "bathtub",
+  "sea-view",
+  "accessible",
+];
+
+const ratePlanSchema = {
+  type: "object",
+  fields: {
+    weekendPrice: { type: "number", min: 0 },
+    weekendDays: { type: "array", items: { type: "number", integer: true, min: 0, max: 6 } },
+    minStay: { type: "number", integer: true, min: 1 },
+    seasons: {
+      type: "array",
+      items: {
+        type: "object",
+        fields: {
+          name: { type: "string", maxLength: 60 },
+          startDate: { type: "date", required: true },
+          endDate: { type: "date", required: true },
+          price: { type: "number", required: true, min: 0 },
+          weekendPrice: { type: "number", min: 0 },
+          minStay: { type: "number", integer: true, min: 1 },
+        },
+      },
+    },
+    overrides: {
+      type: "array",
+      items: {
+        type: "object",
+        fields: {
+          date: { type: "date", required: true },
+          price: { type: "number", min: 0 },
+          closed: { type: "boolean" },
+        },
+      },
+    },
+    cancellationPolicy: cancellationPolicySchema,
+  },
+};
+
+export const roomNumberSchema = {
+  number: { type: "number", required: true, integer: true, min: 0 },
+};
+
+export const roomSchema = {
+  title: { type: "string", required: true, maxLength: 120 },
+  desc: { type: "string", maxLength: 2000 },
+  price: { type: "number", required: true, min: 0 },
+  maxPeople: { type: "number", required: true, integer: true, min: 1 },
+  facilities: { type: "array", items: { type: "string", lowercase: true, enum: ROOM_FACILITIES } },
+  roomNumbers: {
+    type: "array",
+    items: {
+      type: "object",
+      fields: roomNumberSchema,
+    },
+  },
+  ratePlan: ratePlanSchema,
+};
+
+// Room numbers carry their booked dates, so they can't be overwritten by an update.
+export const updateRoomSchema = Object.fromEntries(
+  Object.entries(roomSchema).filter(([field]) => field !== "roomNumbers")
+);
@@ -0,0 +1,18 @@
+import { ROLES } from "../utils/permissions.js";
+
+export const updateUserSchema = {
+  username: {
+    type: "string",
+    minLength: 3,
+    maxLength: 30,
+    pattern: /^[a-zA-Z0-9_.-]+$/,
+    patternMessage: "may only contain letters, numbers, dots, dashes and underscores",
+  },
+  email: { type: "email" },
+  role: { type: "string", enum: ROLES },
+  isAdmin: { type: "boolean" },
+};
+
+export const userStatusSchema = {
+  isActive: { type: "boolean", required: true },
+};
@@ -3,6 +3,11 @@ import Home from "./pages/home/Home";
 import List from "./pages/list/List";
 import Hotel from "./pages/hotel/Hotel";
 import Login from "./pages/login/Login";
+import Register from "./pages/register/Register";
+import Verify from "./pages/verify/Verify";
+import ForgotPassword from "./pages/forgotPassword/ForgotPassword";
+import ResetPassword from "./pages/resetPassword/ResetPassword";
+import Admin from "./pages/admin/Admin";
 
 
 function App() {
@@ -13,6 +18,11 @@ function App() {
         <Route path="/hotels" element={<List />} />
         <Route path="/hotel/:id" element={<Hotel />} />
         <Route path="/login" element={<Login />} />
+        <Route path="/register" element={<Register />} />
+        <Route path="/verify" element={<Verify />} />
+        <Route path="/forgot-password" element={<ForgotPassword />} />
+        <Route path="/reset-password" element={<ResetPassword />} />
+        <Route path="/admin/*" element={<Admin />} />
       </Routes>
     </>
   );
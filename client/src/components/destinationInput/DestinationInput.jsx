@@ -0,0 +1,79 @@
+import "./destinationInput.css";
+import axios from "axios";
+import { useEffect, useState } from "react";
+import { useNavigate } from "react-router-dom";
+
+const SUGGEST_DELAY_MS = 200;
+
+// Text input that suggests cities and properties from /hotels/suggest while typing.
+// Picking a city fills the input; picking a property opens its page.
+const DestinationInput = ({ value, onChange, className, placeholder }) => {
+  const navigate = useNavigate();
+  const [suggestions, setSuggestions] = useState({ cities: [], hotels: [] });
+  const [open, setOpen] = useState(false);
+
+  useEffect(() => {
+    if (!open || (value || "").trim().length < 2) {
+      setSuggestions({ cities: [], hotels: [] });
+      return;
+    }
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      try {
+        const res = await axios.get(`/hotels/suggest?q=${encodeURIComponent(value)}`);
+        if (!cancelled) setSuggestions(res.data);
+      } catch (err) {
+        // Suggestions are a convenience; typing keeps working without them.
+      }
+    }, SUGGEST_DELAY_MS);
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [value, open]);
+
+  const hasSuggestions = suggestions.cities.length > 0 || suggestions.hotels.length > 0;
+
+  return (
+    <div className="destinationInput">
+      <input
+        type="text"
+        value={value}
+        placeholder={placeholder}
+        className={className}
+        onChange={(e) => {
+          onChange(e.target.value);
+          setOpen(true);
+        }}
+        onBlur={() => setOpen(false)}
+      />
+      {open && hasSuggestions && (
+        // onMouseDown fires before the input's blur closes the list.
+        <ul className="diSuggestions">
+          {suggestions.cities.map((item) => (
+            <li
+              key={`city-${item.city}`}
+              onMouseDown={() => {
+                onChange(item.city);
+                setOpen(false);
+              }}
+            >
+              <span className="diName">{item.city}</span>
+              <span className="diMeta">
+                {item.count} {item.count === 1 ? "property" : "properties"}
+              </span>
+            </li>
+          ))}
+          {suggestions.hotels.map((hotel) => (
+            <li key={hotel._id} onMouseDown={() => navigate(`/hotel/${hotel._id}`)}>
+              <span className="diName">{hotel.name}</span>
+              <span className="diMeta">{hotel.city}</span>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default DestinationInput;
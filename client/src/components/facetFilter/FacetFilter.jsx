@@ -0,0 +1,38 @@
+import "./facetFilter.css";
+
+// A group of checkboxes, each with the number of results it would leave.
+const FacetFilter = ({ title, options, selected, counts = {}, onChange }) => {
+  const toggle = (value) =>
+    onChange(
+      selected.includes(value)
+        ? selected.filter((item) => item !== value)
+        : [...selected, value]
+    );
+
+  return (
+    <div className="facetFilter">
+      <h3 className="ffTitle">{title}</h3>
+      {Object.entries(options).map(([value, label]) => {
+        const count = counts[value] || 0;
+        const checked = selected.includes(value);
+        return (
+          <label
+            key={value}
+            className={`ffOption ${!count && !checked ? "ffEmpty" : ""}`}
+          >
+            <input
+              type="checkbox"
+              checked={checked}
+              disabled={!count && !checked}
+              onChange={() => toggle(value)}
+            />
+            <span className="ffLabel">{label}</span>
+            <span className="ffCount">{count}</span>
+          </label>
+        );
+      })}
+    </div>
+  );
+};
+
+export default FacetFilter;
@@ -1,51 +1,34 @@
 import "./featured.css";
-import useFetch from "../../hooks/useFetch";
-const Featured = () => {
+import { useContext } from "react";
+import { useNavigate } from "react-router-dom";
+import { SearchContext } from "../../context/SearchContext";
+import { defaultSearch } from "../../utils/search";
 
-  const {data, loading, error } = useFetch( "/hotels/countByCity?cities=berlin,madrid,london")
+const Featured = ({ items }) => {
+  const navigate = useNavigate();
+  const { dispatch } = useContext(SearchContext);
+
+  const handleClick = (city) => {
+    const search = { ...defaultSearch(), destination: city };
+    dispatch({ type: "NEW_SEARCH", payload: search });
+    navigate("/hotels", { state: search });
+  };
 
   return (
     <div className="featured">
-   {loading ? 
-   "Loading Please Wait"
-   : (<>
-      <div className="featuredItem">
-        <img
-          className="featuredImg"
-          src="https://cf.bstatic.com/xdata/images/city/max500/957801.webp?k=a969e39bcd40cdcc21786ba92826063e3cb09bf307bcfeac2aa392b838e9b7a5&o="
-          alt=""
-        />
-        <div className="featuredTitles">
-          <h1>Berlin</h1>
-          <h2>{data[0]} properties</h2>
-        </div>
-      </div>
-      
-      <div className="featuredItem">
-        <img
-          className="featuredImg"
-          src="https://cf.bstatic.com/xdata/images/city/max500/690334.webp?k=b99df435f06a15a1568ddd5f55d239507c0156985577681ab91274f917af6dbb&o="
-          alt=""
-        />
-        <div className="featuredTitles">
-          <h1>Madrid</h1>
-          <h2>{data[1]}properties</h2>
-        </div>
-      </div>
-      <div className="featuredItem">
-        <img
-          className="featuredImg"
-          src="https://cf.bstatic.com/xdata/images/city/max500/689422.webp?k=2595c93e7e067b9ba95f90713f80ba6e5fa88a66e6e55600bd27a5128808fdf2&o="
-          alt=""
-        />
-        <div className="featuredTitles">
-          <h1>London</h1>
-          <h2>{data[2]} properties</h2>
+      {items.map((item) => (
+        <div className="featuredItem" key={item.city} onClick={() => handleClick(item.city)}>
+          {item.image && <img className="featuredImg" src={item.image} alt="" />}
+          <div className="featuredTitles">
+            <h1>{item.city}</h1>
+            <h2>
+              {item.count} {item.count === 1 ? "property" : "properties"}
+            </h2>
+          </div>
         </div>
-      </div>
-    </>)}
+      ))}
     </div>
   );
 };
 
-export default Featured;
\ No newline at end of file
+export default Featured;
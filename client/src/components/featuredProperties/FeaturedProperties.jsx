@@ -1,34 +1,25 @@
-import useFetch from "../../hooks/useFetch";
 import "./featuredProperties.css";
+import { ratingLabel } from "../../utils/rating";
 
-const FeaturedProperties = () => {
-  const { data, loading, error } = useFetch("/hotels?featured=true");
-
+const FeaturedProperties = ({ items }) => {
   return (
     <div className="fp">
-      {loading ? (
-        "Loading ... "
-      ) : (
-        <>
-        {data.map((item) => (
-          <div className="fpItem" key={item._id}>
-            <img
-              src={item.photos[0]}
-              alt=""
-              className="fpImg"
-            />
-            <span className="fpName">{item.name}</span>
-            <span className="fpCity">{item.city}</span>
-            <span className="fpPrice">Starting from ${item.cheapestPrice}</span>
-            {item.rating && <div className="fpRating">
-              <button>{item.rating}</button>
-              <span>Excellent</span>
-            </div>}
-          </div>)
-      )}
-          
-        </>
-      )}
+      {items.map((item) => (
+        <div className="fpItem" key={item._id}>
+          <img
+            src={item.photos[0]}
+            alt=""
+            className="fpImg"
+          />
+          <span className="fpName">{item.name}</span>
+          <span className="fpCity">{item.city}</span>
+          <span className="fpPrice">Starting from ${item.cheapestPrice}</span>
+          {item.rating && <div className="fpRating">
+            <button>{item.rating}</button>
+            <span>{ratingLabel(item.rating)}</span>
+          </div>}
+        </div>
+      ))}
     </div>
   );
 };
@@ -16,6 +16,7 @@ import { format } from "date-fns";
 import { useNavigate } from "react-router-dom";
 import { SearchContext } from "../../context/SearchContext";
 import { AuthContext } from "../../context/authContext";
+import DestinationInput from "../destinationInput/DestinationInput";
 
 const Header = ({ type }) => {
   const {user} = useContext(AuthContext)
@@ -91,11 +92,11 @@ const Header = ({ type }) => {
             <div className="headerSearch">
               <div className="headerSearchItem">
                 <FontAwesomeIcon icon={faBed} className="headerIcon" />
-                <input
-                  type="text"
+                <DestinationInput
+                  value={destination}
+                  onChange={setDestination}
                   placeholder="Where are you going?"
                   className="headerSearchInput"
-                  onChange={e => setDestination(e.target.value)}
                 />
               </div>
               <div className="headerSearchItem">
@@ -0,0 +1,76 @@
+import "./hotelMap.css";
+import { Link } from "react-router-dom";
+import { latLngOf } from "../../utils/distance";
+
+const WIDTH = 600;
+const HEIGHT = 400;
+const PADDING = 40;
+
+// Offline placeholder map: no tiles, just the results plotted by their
+// coordinates (equirectangular projection fitted to the results) on a grid.
+const HotelMap = ({ hotels, origin }) => {
+  const points = hotels
+    .map((hotel) => ({ hotel, position: latLngOf(hotel) }))
+    .filter((point) => point.position);
+  const all = [...points.map((point) => point.position), ...(origin ? [origin] : [])];
+
+  if (!all.length) {
+    return <div className="hotelMap hmEmpty">None of these properties has a location yet.</div>;
+  }
+
+  const lats = all.map((point) => point.lat);
+  const lngs = all.map((point) => point.lng);
+  const minLat = Math.min(...lats);
+  const minLng = Math.min(...lngs);
+  // Keep a minimum span so a single result sits in the middle instead of a corner.
+  const latSpan = Math.max(Math.max(...lats) - minLat, 0.01);
+  const lngSpan = Math.max(Math.max(...lngs) - minLng, 0.01);
+  const centerLat = minLat + latSpan / 2;
+  // A degree of longitude shrinks towards the poles.
+  const lngScale = Math.cos((centerLat * Math.PI) / 180);
+  const scale = Math.min(
+    (WIDTH - 2 * PADDING) / (lngSpan * lngScale),
+    (HEIGHT - 2 * PADDING) / latSpan
+  );
+  const project = ({ lat, lng }) => ({
+    x: WIDTH / 2 + (lng - (minLng + lngSpan / 2)) * lngScale * scale,
+    y: HEIGHT / 2 - (lat - centerLat) * scale,
+  });
+
+  const originPoint = origin && project(origin);
+
+  return (
+    <div className="hotelMap">
+      <svg viewBox={`0 0 ${WIDTH} ${HEIGHT}`} role="img" aria-label="Map of the results">
+        <defs>
+          <pattern id="hmGrid" width="40" height="40" patternUnits="userSpaceOnUse">
+            <path d="M 40 0 L 0 0 0 40" fill="none" stroke="#e0e6ee" strokeWidth="1" />
+          </pattern>
+        </defs>
+        <rect width={WIDTH} height={HEIGHT} fill="#f4f7fb" />
+        <rect width={WIDTH} height={HEIGHT} fill="url(#hmGrid)" />
+        {originPoint && <circle cx={originPoint.x} cy={originPoint.y} r="6" className="hmOrigin" />}
+        {points.map(({ hotel, position }) => {
+          const { x, y } = project(position);
+          return (
+            <Link to={`/hotel/${hotel._id}`} key={hotel._id}>
+              <g transform={`translate(${x}, ${y})`} className="hmMarker">
+                <title>{hotel.name}</title>
+                <rect x="-24" y="-26" width="48" height="20" rx="4" />
+                <text y="-12" textAnchor="middle">
+                  ${hotel.cheapestPrice}
+                </text>
+                <circle r="3" />
+              </g>
+            </Link>
+          );
+        })}
+      </svg>
+      <span className="hmNote">
+        Map preview · {points.length} of {hotels.length} properties located
+      </span>
+    </div>
+  );
+};
+
+export default HotelMap;
@@ -1,12 +1,18 @@
 
 import { useContext } from "react"
 import "./Navbar.css"
-import { Link } from "react-router-dom"
+import { Link, useNavigate } from "react-router-dom"
 import { AuthContext } from "../../context/authContext"
 
 const Navbar = () => {
-  const {user} = useContext(AuthContext)
-  console.log({user})
+  const {user, logout} = useContext(AuthContext)
+  const navigate = useNavigate()
+
+  const handleLogout = async () => {
+    await logout()
+    navigate("/")
+  }
+
   return (
     <div className="navbar">
       <div className="navContainer">
@@ -14,9 +20,21 @@ const Navbar = () => {
 
         <span className="logo">Easy Booking</span>
       </Link>
-        {user ? user.username : (<div className="navItems">
-            <button className="navButton">Register</button>
-            <button className="navButton">Login</button>
+        {user ? (<div className="navItems">
+            <span className="navUser">{user.username}</span>
+            {user.role === "admin" && (
+              <Link to="/admin">
+                <button className="navButton">Admin</button>
+              </Link>
+            )}
+            <button className="navButton" onClick={handleLogout}>Logout</button>
+        </div>) : (<div className="navItems">
+            <Link to="/register">
+              <button className="navButton">Register</button>
+            </Link>
+            <Link to="/login">
+              <button className="navButton">Login</button>
+            </Link>
         </div>)}
       </div>
 
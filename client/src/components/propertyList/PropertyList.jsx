@@ -1,39 +1,32 @@
-import useFetch from "../../hooks/useFetch";
+import { useContext } from "react";
+import { useNavigate } from "react-router-dom";
+import { SearchContext } from "../../context/SearchContext";
+import { defaultSearch } from "../../utils/search";
 import "./propertyList.css";
 
-const PropertyList = () => {
-  const { data, loading, error } = useFetch("/hotels/countByType");
+const PropertyList = ({ items }) => {
+  const navigate = useNavigate();
+  const { dispatch } = useContext(SearchContext);
 
-  const images = [
-    "https://cf.bstatic.com/xdata/images/xphoto/square300/57584488.webp?k=bf724e4e9b9b75480bbe7fc675460a089ba6414fe4693b83ea3fdd8e938832a6&o=",
-    "https://cf.bstatic.com/static/img/theme-index/carousel_320x240/card-image-apartments_300/9f60235dc09a3ac3f0a93adbc901c61ecd1ce72e.jpg",
-    "https://cf.bstatic.com/static/img/theme-index/carousel_320x240/bg_resorts/6f87c6143fbd51a0bb5d15ca3b9cf84211ab0884.jpg",
-    "https://cf.bstatic.com/static/img/theme-index/carousel_320x240/card-image-villas_300/dd0d7f8202676306a661aa4f0cf1ffab31286211.jpg",
-    "https://cf.bstatic.com/static/img/theme-index/carousel_320x240/card-image-chalet_300/8ee014fcc493cb3334e25893a1dee8c6d36ed0ba.jpg",
-  ];
+  const handleClick = (type) => {
+    const search = { ...defaultSearch(), destination: "" };
+    dispatch({ type: "NEW_SEARCH", payload: search });
+    navigate("/hotels", { state: { ...search, types: [type] } });
+  };
 
   return (
     <div className="propertyList">
-      {loading ? (
-        "Loading ..."
-      ) : (
-        <>
-          {data &&
-            images.map((img,i) => (
-              <div className="propertyListItem" key={i}>
-                <img
-                  src={img}
-                  alt=""
-                  className="propertyListImg"
-                />
-                <div className="propertyListTitles">
-                  <h1>{data[i]?.type}</h1>
-                  <h3>{data[i]?.count} {data[i]?.type} </h3>
-                </div>
-              </div>
-            ))}
-        </>
-      )}
+      {items.map((item) => (
+        <div className="propertyListItem" key={item.type} onClick={() => handleClick(item.type)}>
+          {item.image && <img src={item.image} alt="" className="propertyListImg" />}
+          <div className="propertyListTitles">
+            <h1>{item.type}</h1>
+            <h3>
+              {item.count} {item.count === 1 ? item.type : `${item.type}s`}
+            </h3>
+          </div>
+        </div>
+      ))}
     </div>
   );
 };
@@ -3,26 +3,36 @@ import { faCircleXmark } from "@fortawesome/free-solid-svg-icons";
 
 import "./reserve.css";
 import useFetch from "../../hooks/useFetch";
-import { useContext, useState } from "react";
+import { useContext, useEffect, useState } from "react";
 import { SearchContext } from "../../context/SearchContext";
 import axios from "axios";
 import { useNavigate } from "react-router-dom";
+import { format } from "date-fns";
 
 const Reserve = ({ setOpen, hotelId }) => {
   const [selectedRooms, setSelectedRooms] = useState([]);
-  const { data, loading, error } = useFetch(`/hotels/room/${hotelId}`);
-  const { dates } = useContext(SearchContext);
+  const [reserveError, setReserveError] = useState(null);
+  // Bookings waiting for payment; the modal switches to the payment step once set.
+  const [pendingBookings, setPendingBookings] = useState([]);
+  const [paymentMethod, setPaymentMethod] = useState("pm_card_visa");
+  const [paying, setPaying] = useState(false);
+  const [now, setNow] = useState(Date.now());
+  const { data, loading, error, reFetch } = useFetch(`/hotels/room/${hotelId}`);
+  const { dates, options } = useContext(SearchContext);
+  const { data: quote } = useFetch(
+    `/hotels/${hotelId}/quote?checkIn=${format(dates[0].startDate, "yyyy-MM-dd")}` +
+      `&checkOut=${format(dates[0].endDate, "yyyy-MM-dd")}`
+  );
+  const quoteFor = (roomId) => quote.rooms?.find((item) => item.room === roomId);
 
   const getDatesInRange = (startDate, endDate) => {
-    const start = new Date(startDate);
+    const date = new Date(startDate);
     const end = new Date(endDate);
 
-    const date = new Date(start.getTime());
-
     const dates = [];
 
-    while (date <= end) {
-      dates.push(new Date(date).getTime());
+    while (date < end) {
+      dates.push(format(date, "yyyy-MM-dd"));
       date.setDate(date.getDate() + 1);
     }
 
@@ -33,7 +43,7 @@ const Reserve = ({ setOpen, hotelId }) => {
 
   const isAvailable = (roomNumber) => {
     const isFound = roomNumber.unavailableDates.some((date) =>
-      alldates.includes(new Date(date).getTime())
+      alldates.includes(new Date(date).toISOString().slice(0, 10))
     );
 
     return !isFound;
@@ -51,20 +61,132 @@ const Reserve = ({ setOpen, hotelId }) => {
 
   const navigate = useNavigate();
 
+  const selectedTotal = data.reduce(
+    (sum, item) =>
+      sum +
+      (quoteFor(item._id)?.total || 0) *
+        item.roomNumbers.filter((roomNumber) => selectedRooms.includes(roomNumber._id)).length,
+    0
+  );
+
+  // Every selected room type is booked in one request: all of them or none.
   const handleClick = async () => {
+    setReserveError(null);
     try {
-      await Promise.all(
-        selectedRooms.map((roomId) => {
-          const res = axios.put(`/rooms/availability/${roomId}`, {
-            dates: alldates,
-          });
-          return res.data;
-        })
-      );
+      const res = await axios.post("/bookings", {
+        hotel: hotelId,
+        rooms: data
+          .filter((item) =>
+            item.roomNumbers.some((roomNumber) => selectedRooms.includes(roomNumber._id))
+          )
+          .map((item) => ({
+            room: item._id,
+            roomNumbers: item.roomNumbers
+              .filter((roomNumber) => selectedRooms.includes(roomNumber._id))
+              .map((roomNumber) => roomNumber._id),
+          })),
+        checkIn: format(dates[0].startDate, "yyyy-MM-dd"),
+        checkOut: format(dates[0].endDate, "yyyy-MM-dd"),
+        adults: options.adult,
+        children: options.children,
+      });
+      setPendingBookings(res.data);
+    } catch (err) {
+      setReserveError(err.response?.data?.message || "Reservation failed");
+      reFetch();
+    }
+  };
+
+  const pendingTotal = pendingBookings.reduce((sum, booking) => sum + booking.totalPrice, 0);
+
+  // The rooms stay held for this user until the earliest hold runs out.
+  const holdExpiresAt = pendingBookings.length
+    ? Math.min(...pendingBookings.map((booking) => new Date(booking.holdExpiresAt).getTime()))
+    : null;
+  const secondsLeft = holdExpiresAt ? Math.max(0, Math.ceil((holdExpiresAt - now) / 1000)) : 0;
+  const holdExpired = Boolean(holdExpiresAt) && secondsLeft === 0;
+
+  useEffect(() => {
+    if (!holdExpiresAt) return;
+    const timer = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(timer);
+  }, [holdExpiresAt]);
+
+  const handlePay = async () => {
+    setReserveError(null);
+    setPaying(true);
+    const results = await Promise.allSettled(
+      pendingBookings.map((booking) =>
+        axios.post(`/payments/${booking.payment._id}/confirm`, { paymentMethod })
+      )
+    );
+    setPaying(false);
+
+    const failed = results.find((result) => result.status === "rejected");
+    if (!failed) {
       setOpen(false);
       navigate("/");
-    } catch (err) {}
+      return;
+    }
+    // Paid bookings are done; only the declined ones are offered again.
+    setPendingBookings(pendingBookings.filter((booking, i) => results[i].status === "rejected"));
+    setReserveError(failed.reason.response?.data?.message || "Payment failed");
+  };
+
+  // Also used once the hold ran out, so the nights free up before the sweeper runs.
+  const handleCancelPayment = async () => {
+    setReserveError(null);
+    await Promise.allSettled(
+      pendingBookings.map((booking) => axios.put(`/bookings/${booking._id}/cancel`))
+    );
+    setPendingBookings([]);
+    reFetch();
   };
+
+  if (pendingBookings.length) {
+    return (
+      <div className="reserve">
+        <div className="rContainer">
+          <span>Complete your payment:</span>
+          <span className="rTotal">Total: ${pendingTotal}</span>
+          {holdExpired ? (
+            <span className="rError">Your hold on these rooms has expired.</span>
+          ) : (
+            <span className="rCountdown">
+              Rooms held for {Math.floor(secondsLeft / 60)}:
+              {String(secondsLeft % 60).padStart(2, "0")}
+            </span>
+          )}
+          {pendingBookings[0].payment.provider === "mock" && (
+            <select
+              className="rPaymentMethod"
+              value={paymentMethod}
+              onChange={(e) => setPaymentMethod(e.target.value)}
+            >
+              <option value="pm_card_visa">Test card (succeeds)</option>
+              <option value="pm_card_declined">Test card (declined)</option>
+            </select>
+          )}
+          {reserveError && <span className="rError">{reserveError}</span>}
+          {holdExpired ? (
+            <button onClick={handleCancelPayment} className="rButton">
+              Choose rooms again
+            </button>
+          ) : (
+            <>
+              <button onClick={handlePay} disabled={paying} className="rButton">
+                Pay now
+              </button>
+              <button onClick={handleCancelPayment} disabled={paying} className="rSecondaryButton">
+                Cancel reservation
+              </button>
+            </>
+          )}
+        </div>
+      </div>
+    );
+  }
+
   return (
     <div className="reserve">
       <div className="rContainer">
@@ -82,11 +204,15 @@ const Reserve = ({ setOpen, hotelId }) => {
               <div className="rMax">
                 Max people: <b>{item.maxPeople}</b>
               </div>
-              <div className="rPrice">{item.price}</div>
+              <div className="rPrice">
+                {quoteFor(item._id)?.available === false
+                  ? quoteFor(item._id).reason
+                  : `$${quoteFor(item._id)?.total ?? item.price} for ${alldates.length} nights`}
+              </div>
             </div>
             <div className="rSelectRooms">
               {item.roomNumbers.map((roomNumber) => (
-                <div className="room">
+                <div className="room" key={roomNumber._id}>
                   <label>{roomNumber.number}</label>
                   <input
                     type="checkbox"
@@ -99,7 +225,15 @@ const Reserve = ({ setOpen, hotelId }) => {
             </div>
           </div>
         ))}
-        <button onClick={handleClick} className="rButton">
+        {selectedTotal > 0 && (
+          <span className="rTotal">Total: ${selectedTotal}</span>
+        )}
+        {reserveError && <span className="rError">{reserveError}</span>}
+        <button
+          onClick={handleClick}
+          disabled={!selectedRooms.length || !alldates.length}
+          className="rButton"
+        >
           Reserve Now!
         </button>
       </div>
@@ -0,0 +1,68 @@
+import "./reviews.css";
+import useFetch from "../../hooks/useFetch";
+import { ratingLabel } from "../../utils/rating";
+
+const SCORES = [
+  { key: "cleanliness", label: "Cleanliness" },
+  { key: "location", label: "Location" },
+  { key: "staff", label: "Staff" },
+  { key: "value", label: "Value for money" },
+];
+
+const Reviews = ({ hotel }) => {
+  const { data, loading } = useFetch(`/reviews/hotel/${hotel._id}?pageSize=5`);
+  const reviews = data.data || [];
+
+  return (
+    <div className="reviews">
+      <h1 className="reviewsTitle">Guest reviews</h1>
+      {!hotel.reviewCount ? (
+        <span className="reviewsEmpty">This property has no reviews yet.</span>
+      ) : (
+        <>
+          <div className="reviewsSummary">
+            <button className="reviewsScore">{hotel.rating}</button>
+            <span>
+              <b>{ratingLabel(hotel.rating)}</b> · {hotel.reviewCount}{" "}
+              {hotel.reviewCount === 1 ? "review" : "reviews"}
+            </span>
+          </div>
+          <div className="reviewsBreakdown">
+            {SCORES.map(({ key, label }) => (
+              <div className="reviewsBreakdownItem" key={key}>
+                <div className="reviewsBreakdownText">
+                  <span>{label}</span>
+                  <span>{hotel.ratingBreakdown?.[key] ?? "-"}</span>
+                </div>
+                <div className="reviewsBar">
+                  <div
+                    className="reviewsBarFill"
+                    style={{ width: `${((hotel.ratingBreakdown?.[key] || 0) / 5) * 100}%` }}
+                  />
+                </div>
+              </div>
+            ))}
+          </div>
+          {loading
+            ? "Loading ..."
+            : reviews.map((review) => (
+                <div className="reviewItem" key={review._id}>
+                  <div className="reviewHeader">
+                    <b>{review.user?.username || "Guest"}</b>
+                    <span className="reviewRating">{review.rating}</span>
+                  </div>
+                  <p className="reviewText">{review.text}</p>
+                  {review.reply?.text && (
+                    <p className="reviewReply">
+                      <b>Property response:</b> {review.reply.text}
+                    </p>
+                  )}
+                </div>
+              ))}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default Reviews;
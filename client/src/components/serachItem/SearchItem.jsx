@@ -1,7 +1,18 @@
 import { Link } from "react-router-dom";
 import "./searchItem.css";
+import { ratingLabel } from "../../utils/rating";
+import { cancellationLabel } from "../../utils/cancellation";
+import { distanceLabel, searchDistanceLabel } from "../../utils/distance";
+import { HOTEL_AMENITIES, ROOM_FACILITIES, labelsOf } from "../../utils/amenities";
 
 const SearchItem = ({item}) => {
+  const cancellation = cancellationLabel(item.cancellationPolicy);
+  const amenities = labelsOf(item.amenities, HOTEL_AMENITIES).slice(0, 3);
+  const cheapestRoom = (item.roomPrices || []).reduce(
+    (cheapest, room) => (!cheapest || room.price < cheapest.price ? room : cheapest),
+    null
+  );
+  const roomFacilities = labelsOf(item.roomFacilities, ROOM_FACILITIES).slice(0, 2);
   return (
     <div className="searchItem">
       <img
@@ -11,22 +22,44 @@ const SearchItem = ({item}) => {
       />
       <div className="siDesc">
         <h1 className="siTitle">{item.name}</h1>
-        <span className="siDistance">{item.distance} from center</span>
-        <span className="siTaxiOp">Free airport taxi</span>
-        <span className="siSubtitle">
-          Studio Apartment with Air conditioning
+        <span className="siDistance">
+          {[searchDistanceLabel(item), distanceLabel(item)].filter(Boolean).join(" · ")}
         </span>
+        {amenities.length > 0 && (
+          <div className="siAmenities">
+            {amenities.map((amenity) => (
+              <span className="siTaxiOp" key={amenity}>{amenity}</span>
+            ))}
+          </div>
+        )}
+        {cheapestRoom && (
+          <span className="siSubtitle">
+            {cheapestRoom.title}
+          </span>
+        )}
+        {roomFacilities.length > 0 && (
+          <span className="siFeatures">
+            Rooms with {roomFacilities.join(" · ")}
+          </span>
+        )}
         <span className="siFeatures">
           {item.desc}
         </span>
-        <span className="siCancelOp">Free cancellation </span>
+        <span className={`siCancelOp ${item.cancellationPolicy?.type === "non-refundable" ? "siNonRefundable" : ""}`}>
+          {cancellation.title}
+        </span>
         <span className="siCancelOpSubtitle">
-          You can cancel later, so lock in this great price today!
+          {cancellation.subtitle}
         </span>
+        {item.availableRooms !== undefined && (
+          <span className="siAvailability">
+            Only {item.availableRooms} {item.availableRooms === 1 ? "room" : "rooms"} left at this price
+          </span>
+        )}
       </div>
       <div className="siDetails">
         {item.rating && <div className="siRating">
-          <span>Excellent</span>
+          <span>{ratingLabel(item.rating)}</span>
           <button>{item.rating}</button>
         </div>}
         <div className="siDetailTexts">
@@ -1,4 +1,5 @@
-import { createContext, useEffect, useReducer } from "react";
+import { createContext, useCallback, useEffect, useReducer } from "react";
+import axios from "axios";
 
 const INITIAL_STATE = {
   user: (JSON.parse(localStorage.getItem("user")) || null),
@@ -39,13 +40,75 @@ const AuthReducer = (state, action) => {
   }
 };
 
+// Requests that must never trigger a silent refresh themselves.
+const AUTH_URLS = ["/auth/login", "/auth/refresh", "/auth/logout"];
+
+let refreshRequest = null;
+
+// Concurrent 401s share one refresh call, otherwise the rotated refresh token
+// would be presented twice and the server would revoke the session.
+const refreshSession = () => {
+  if (!refreshRequest) {
+    refreshRequest = axios.post("/auth/refresh").finally(() => {
+      refreshRequest = null;
+    });
+  }
+  return refreshRequest;
+};
+
 export const AuthContextProvider = ({ children }) => {
   const [state, dispatch] = useReducer(AuthReducer, INITIAL_STATE);
 
   useEffect(() => {
-    localStorage.setItem("user",JSON.stringify(state.user))
+    if (state.user) {
+      localStorage.setItem("user",JSON.stringify(state.user))
+    } else {
+      localStorage.removeItem("user")
+    }
   }, [state.user])
 
+  useEffect(() => {
+    const interceptor = axios.interceptors.response.use(
+      (response) => response,
+      async (error) => {
+        const { config, response } = error;
+        if (
+          response?.status !== 401 ||
+          config._retried ||
+          AUTH_URLS.includes(config.url)
+        ) {
+          return Promise.reject(error);
+        }
+
+        try {
+          const res = await refreshSession();
+          dispatch({ type: "LOGIN_SUCCESS", payload: res.data.details });
+        } catch (refreshError) {
+          dispatch({ type: "LOGOUT" });
+          return Promise.reject(error);
+        }
+        return axios({ ...config, _retried: true });
+      }
+    );
+    return () => axios.interceptors.response.eject(interceptor);
+  }, []);
+
+  // The stored user may belong to a session that expired while the tab was closed.
+  useEffect(() => {
+    if (!INITIAL_STATE.user) return;
+    refreshSession()
+      .then((res) => dispatch({ type: "LOGIN_SUCCESS", payload: res.data.details }))
+      .catch(() => dispatch({ type: "LOGOUT" }));
+  }, []);
+
+  const logout = useCallback(async () => {
+    try {
+      await axios.post("/auth/logout");
+    } catch (err) {
+      // The session is dropped locally even if the server can't be reached.
+    }
+    dispatch({ type: "LOGOUT" });
+  }, []);
 
   return (
     <AuthContext.Provider
@@ -54,6 +117,7 @@ export const AuthContextProvider = ({ children }) => {
         loading: state.loading,
         error: state.error,
         dispatch,
+        logout,
       }}
     >
       {children}
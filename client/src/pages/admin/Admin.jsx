@@ -0,0 +1,49 @@
+import "./admin.css";
+import { useContext } from "react";
+import { NavLink, Navigate, Route, Routes } from "react-router-dom";
+import Navbar from "../../components/navbar/Navbar";
+import { AuthContext } from "../../context/authContext";
+import AdminHotels from "./AdminHotels";
+import HotelForm from "./HotelForm";
+import AdminRooms from "./AdminRooms";
+import AdminUsers from "./AdminUsers";
+import AdminBookings from "./AdminBookings";
+import AdminCities from "./AdminCities";
+import AdminHome from "./AdminHome";
+
+const Admin = () => {
+  const { user } = useContext(AuthContext);
+
+  if (!user) return <Navigate to="/login" replace />;
+  if (user.role !== "admin") return <Navigate to="/" replace />;
+
+  return (
+    <div>
+      <Navbar />
+      <div className="admin">
+        <nav className="adminSidebar">
+          <NavLink to="/admin/hotels">Hotels</NavLink>
+          <NavLink to="/admin/users">Users</NavLink>
+          <NavLink to="/admin/bookings">Bookings</NavLink>
+          <NavLink to="/admin/cities">Cities</NavLink>
+          <NavLink to="/admin/home">Home page</NavLink>
+        </nav>
+        <div className="adminContent">
+          <Routes>
+            <Route index element={<Navigate to="hotels" replace />} />
+            <Route path="hotels" element={<AdminHotels />} />
+            <Route path="hotels/new" element={<HotelForm />} />
+            <Route path="hotels/:id" element={<HotelForm />} />
+            <Route path="hotels/:id/rooms" element={<AdminRooms />} />
+            <Route path="users" element={<AdminUsers />} />
+            <Route path="bookings" element={<AdminBookings />} />
+            <Route path="cities" element={<AdminCities />} />
+            <Route path="home" element={<AdminHome />} />
+          </Routes>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default Admin;
@@ -0,0 +1,104 @@
+import axios from "axios";
+import { useState } from "react";
+import { format } from "date-fns";
+import useFetch from "../../hooks/useFetch";
+import AdminPager from "./AdminPager";
+
+const PAGE_SIZE = 20;
+const STATUSES = ["pending", "confirmed", "cancelled", "refunded", "expired"];
+
+const day = (date) => format(new Date(date), "MMM d, yyyy");
+
+const AdminBookings = () => {
+  const [status, setStatus] = useState("");
+  const [page, setPage] = useState(1);
+  const [actionError, setActionError] = useState(null);
+  const [notice, setNotice] = useState(null);
+  const { data, loading, reFetch } = useFetch(
+    `/bookings/all?page=${page}&pageSize=${PAGE_SIZE}${status ? `&status=${status}` : ""}`
+  );
+
+  const handleCancel = async (booking) => {
+    if (!window.confirm("Cancel this booking? The guest is refunded under its policy.")) return;
+    setActionError(null);
+    setNotice(null);
+    try {
+      const res = await axios.put(`/bookings/${booking._id}/cancel`);
+      if (res.data.refundStatus === "pending")
+        setNotice("Booking cancelled. The refund failed and will be retried automatically.");
+      reFetch();
+    } catch (err) {
+      setActionError(err.response?.data?.message || "Cancel failed");
+    }
+  };
+
+  return (
+    <>
+      <div className="adminHeader">
+        <h1>Bookings</h1>
+        <select
+          value={status}
+          onChange={(e) => {
+            setStatus(e.target.value);
+            setPage(1);
+          }}
+        >
+          <option value="">All statuses</option>
+          {STATUSES.map((item) => (
+            <option key={item} value={item}>
+              {item}
+            </option>
+          ))}
+        </select>
+      </div>
+      {actionError && <span className="adminError">{actionError}</span>}
+      {notice && <span className="adminMuted">{notice}</span>}
+      {loading ? (
+        "loading"
+      ) : (
+        <table className="adminTable">
+          <thead>
+            <tr>
+              <th>Guest</th>
+              <th>Hotel</th>
+              <th>Rooms</th>
+              <th>Stay</th>
+              <th>Total</th>
+              <th>Status</th>
+              <th></th>
+            </tr>
+          </thead>
+          <tbody>
+            {(data.data || []).map((booking) => (
+              <tr key={booking._id}>
+                <td>{booking.user?.username}</td>
+                <td>{booking.hotel?.name}</td>
+                <td>{booking.roomNumbers.map((roomNumber) => roomNumber.number).join(", ")}</td>
+                <td>
+                  {day(booking.checkIn)} – {day(booking.checkOut)}
+                </td>
+                <td>
+                  ${booking.totalPrice}
+                  {booking.cancellation?.refundAmount > 0 && (
+                    <span className="adminMuted"> (refunded ${booking.cancellation.refundAmount})</span>
+                  )}
+                </td>
+                <td>
+                  <span className={`adminStatus ${booking.status}`}>{booking.status}</span>
+                </td>
+                <td className="adminActions">
+                  {["pending", "confirmed"].includes(booking.status) && (
+                    <button onClick={() => handleCancel(booking)}>Cancel</button>
+                  )}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+      <AdminPager page={page} totalPages={data.totalPages} setPage={setPage} />
+    </>
+  );
+};
+
+export default AdminBookings;
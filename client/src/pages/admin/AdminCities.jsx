@@ -0,0 +1,95 @@
+import axios from "axios";
+import { useState } from "react";
+import useFetch from "../../hooks/useFetch";
+
+const EMPTY_CITY = { name: "", lat: "", lng: "" };
+
+// City centres; hotel distances from the centre are recomputed whenever one changes.
+const AdminCities = () => {
+  const { data: cities, loading, reFetch } = useFetch("/cities");
+  const [form, setForm] = useState(EMPTY_CITY);
+  const [message, setMessage] = useState(null);
+  const [error, setError] = useState(null);
+
+  const handleChange = (e) => setForm((prev) => ({ ...prev, [e.target.id]: e.target.value }));
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError(null);
+    setMessage(null);
+    try {
+      const res = await axios.put(`/cities/${encodeURIComponent(form.name)}`, {
+        lat: form.lat,
+        lng: form.lng,
+      });
+      setMessage(`${res.data.name} saved, ${res.data.hotelsUpdated} hotel distance(s) updated.`);
+      setForm(EMPTY_CITY);
+      reFetch();
+    } catch (err) {
+      setError(err.response?.data);
+    }
+  };
+
+  return (
+    <>
+      <div className="adminHeader">
+        <h1>City centres</h1>
+      </div>
+      {loading ? (
+        "loading"
+      ) : (
+        <table className="adminTable">
+          <thead>
+            <tr>
+              <th>City</th>
+              <th>Latitude</th>
+              <th>Longitude</th>
+              <th></th>
+            </tr>
+          </thead>
+          <tbody>
+            {cities.map((city) => (
+              <tr key={city._id}>
+                <td>{city.name}</td>
+                <td>{city.center.lat}</td>
+                <td>{city.center.lng}</td>
+                <td className="adminActions">
+                  <button onClick={() => setForm({ name: city.name, ...city.center })}>Edit</button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+      <form className="adminForm" onSubmit={handleSubmit}>
+        <h2>Set a city centre</h2>
+        <label>
+          City
+          <input id="name" value={form.name} onChange={handleChange} />
+        </label>
+        <div className="adminInline">
+          <label>
+            Latitude
+            <input id="lat" type="number" step="any" value={form.lat} onChange={handleChange} />
+          </label>
+          <label>
+            Longitude
+            <input id="lng" type="number" step="any" value={form.lng} onChange={handleChange} />
+          </label>
+        </div>
+        {message && <span className="adminMuted">{message}</span>}
+        {error && <span className="adminError">{error.message}</span>}
+        {error?.details?.errors?.map((item) => (
+          <span className="adminError" key={item.field}>
+            {item.message}
+          </span>
+        ))}
+        <button className="adminButton" disabled={!form.name}>
+          Save
+        </button>
+      </form>
+    </>
+  );
+};
+
+export default AdminCities;
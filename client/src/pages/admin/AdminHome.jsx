@@ -0,0 +1,193 @@
+import axios from "axios";
+import { useState } from "react";
+import useFetch from "../../hooks/useFetch";
+
+// Mirrors HOME_COLLECTION_KINDS in api/validators/home.js.
+const KINDS = {
+  destinations: { label: "Destinations", key: "City name" },
+  types: { label: "Property types", key: "Property type" },
+  hotels: { label: "Hotels", key: "Hotel id" },
+};
+
+const EMPTY_COLLECTION = {
+  title: "",
+  kind: "destinations",
+  items: "",
+  limit: 4,
+  position: 0,
+  isActive: true,
+};
+
+// Pinned entries are edited one per line, as "key" or "key | image URL".
+const itemsToText = (items) =>
+  items.map((item) => (item.image ? `${item.key} | ${item.image}` : item.key)).join("\n");
+
+const textToItems = (text) =>
+  text
+    .split("\n")
+    .map((line) => line.split("|").map((part) => part.trim()))
+    .filter(([key]) => key)
+    .map(([key, image]) => (image ? { key, image } : { key }));
+
+const AdminHome = () => {
+  const { data: collections, loading, reFetch } = useFetch("/home/collections");
+  // `editing` is the id of the collection in the form, or null for a new one.
+  const [editing, setEditing] = useState(null);
+  const [form, setForm] = useState(EMPTY_COLLECTION);
+  const [error, setError] = useState(null);
+
+  const run = async (request) => {
+    setError(null);
+    try {
+      await request();
+      reFetch();
+      return true;
+    } catch (err) {
+      setError(err.response?.data);
+      return false;
+    }
+  };
+
+  const handleChange = (e) => {
+    const { id: field, type, value, checked } = e.target;
+    setForm((prev) => ({ ...prev, [field]: type === "checkbox" ? checked : value }));
+  };
+
+  const startEdit = (collection) => {
+    setEditing(collection._id);
+    setForm({ ...EMPTY_COLLECTION, ...collection, items: itemsToText(collection.items) });
+  };
+
+  const resetForm = () => {
+    setEditing(null);
+    setForm(EMPTY_COLLECTION);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const body = {
+      title: form.title,
+      kind: form.kind,
+      items: textToItems(form.items),
+      limit: form.limit,
+      position: form.position,
+      isActive: form.isActive,
+    };
+    const saved = await run(() =>
+      editing ? axios.put(`/home/collections/${editing}`, body) : axios.post("/home/collections", body)
+    );
+    if (saved) resetForm();
+  };
+
+  const handleDelete = (collection) => {
+    if (!window.confirm(`Remove "${collection.title}" from the home page?`)) return;
+    run(() => axios.delete(`/home/collections/${collection._id}`));
+  };
+
+  const toggleActive = (collection) =>
+    run(() => axios.put(`/home/collections/${collection._id}`, { isActive: !collection.isActive }));
+
+  return (
+    <>
+      <div className="adminHeader">
+        <h1>Home page</h1>
+      </div>
+      {error && <span className="adminError">{error.message}</span>}
+      {error?.details?.errors?.map((item) => (
+        <span className="adminError" key={item.field}>
+          {item.message}
+        </span>
+      ))}
+      {loading ? (
+        "loading"
+      ) : !collections.length ? (
+        <span className="adminMuted">
+          No collections yet, so the home page shows popular destinations, property types
+          and featured hotels.
+        </span>
+      ) : (
+        <table className="adminTable">
+          <thead>
+            <tr>
+              <th>Position</th>
+              <th>Title</th>
+              <th>Shows</th>
+              <th>Pinned</th>
+              <th>Status</th>
+              <th></th>
+            </tr>
+          </thead>
+          <tbody>
+            {collections.map((collection) => (
+              <tr key={collection._id}>
+                <td>{collection.position}</td>
+                <td>{collection.title}</td>
+                <td>{KINDS[collection.kind]?.label}</td>
+                <td>
+                  {collection.items.length
+                    ? collection.items.map((item) => item.key).join(", ")
+                    : `Top ${collection.limit}`}
+                </td>
+                <td>{collection.isActive ? "Shown" : "Hidden"}</td>
+                <td className="adminActions">
+                  <button onClick={() => startEdit(collection)}>Edit</button>
+                  <button onClick={() => toggleActive(collection)}>
+                    {collection.isActive ? "Hide" : "Show"}
+                  </button>
+                  <button onClick={() => handleDelete(collection)}>Delete</button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+
+      <form className="adminForm" onSubmit={handleSubmit}>
+        <h2>{editing ? "Edit collection" : "New collection"}</h2>
+        <label>
+          Title
+          <input id="title" value={form.title} onChange={handleChange} />
+        </label>
+        <label>
+          Shows
+          <select id="kind" value={form.kind} onChange={handleChange}>
+            {Object.entries(KINDS).map(([kind, { label }]) => (
+              <option key={kind} value={kind}>
+                {label}
+              </option>
+            ))}
+          </select>
+        </label>
+        <label>
+          Pinned entries, one per line ({KINDS[form.kind].key}
+          {form.kind !== "hotels" && " | image URL"}). Leave empty to show the most popular.
+          <textarea id="items" rows={4} value={form.items} onChange={handleChange} />
+        </label>
+        <div className="adminInline">
+          <label>
+            How many
+            <input id="limit" type="number" min={1} max={12} value={form.limit} onChange={handleChange} />
+          </label>
+          <label>
+            Position
+            <input id="position" type="number" value={form.position} onChange={handleChange} />
+          </label>
+        </div>
+        <label className="adminCheckbox">
+          <input id="isActive" type="checkbox" checked={form.isActive} onChange={handleChange} />
+          Shown on the home page
+        </label>
+        <div className="adminInline">
+          <button className="adminButton">{editing ? "Save changes" : "Add collection"}</button>
+          {editing && (
+            <button type="button" onClick={resetForm}>
+              Cancel
+            </button>
+          )}
+        </div>
+      </form>
+    </>
+  );
+};
+
+export default AdminHome;
@@ -0,0 +1,87 @@
+import axios from "axios";
+import { useState } from "react";
+import { Link } from "react-router-dom";
+import useFetch from "../../hooks/useFetch";
+import AdminPager from "./AdminPager";
+
+const PAGE_SIZE = 20;
+
+const AdminHotels = () => {
+  const [q, setQ] = useState("");
+  const [page, setPage] = useState(1);
+  const [actionError, setActionError] = useState(null);
+  const { data, loading, reFetch } = useFetch(
+    `/hotels/manage?q=${encodeURIComponent(q)}&page=${page}&pageSize=${PAGE_SIZE}`
+  );
+
+  const handleDelete = async (hotel) => {
+    if (!window.confirm(`Delete ${hotel.name} and all of its rooms?`)) return;
+    setActionError(null);
+    try {
+      await axios.delete(`/hotels/${hotel._id}`);
+      reFetch();
+    } catch (err) {
+      setActionError(err.response?.data?.message || "Delete failed");
+    }
+  };
+
+  return (
+    <>
+      <div className="adminHeader">
+        <h1>Hotels</h1>
+        <Link to="/admin/hotels/new">
+          <button className="adminButton">New hotel</button>
+        </Link>
+      </div>
+      <input
+        className="adminSearch"
+        placeholder="Search by name or city"
+        value={q}
+        onChange={(e) => {
+          setQ(e.target.value);
+          setPage(1);
+        }}
+      />
+      {actionError && <span className="adminError">{actionError}</span>}
+      {loading ? (
+        "loading"
+      ) : (
+        <table className="adminTable">
+          <thead>
+            <tr>
+              <th></th>
+              <th>Name</th>
+              <th>City</th>
+              <th>Type</th>
+              <th>Rooms</th>
+              <th>From</th>
+              <th>Featured</th>
+              <th></th>
+            </tr>
+          </thead>
+          <tbody>
+            {(data.data || []).map((hotel) => (
+              <tr key={hotel._id}>
+                <td>{hotel.photos?.[0] && <img src={hotel.photos[0]} alt="" className="adminThumb" />}</td>
+                <td>{hotel.name}</td>
+                <td>{hotel.city}</td>
+                <td>{hotel.type}</td>
+                <td>{hotel.rooms.length}</td>
+                <td>${hotel.cheapestPrice}</td>
+                <td>{hotel.featured ? "Yes" : "No"}</td>
+                <td className="adminActions">
+                  <Link to={`/admin/hotels/${hotel._id}`}>Edit</Link>
+                  <Link to={`/admin/hotels/${hotel._id}/rooms`}>Rooms</Link>
+                  <button onClick={() => handleDelete(hotel)}>Delete</button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+      <AdminPager page={page} totalPages={data.totalPages} setPage={setPage} />
+    </>
+  );
+};
+
+export default AdminHotels;
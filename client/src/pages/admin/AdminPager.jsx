@@ -0,0 +1,17 @@
+// Previous/next controls for the page envelopes the API returns.
+const AdminPager = ({ page, totalPages, setPage }) =>
+  totalPages > 1 ? (
+    <div className="adminPager">
+      <button disabled={page <= 1} onClick={() => setPage(page - 1)}>
+        Previous
+      </button>
+      <span>
+        Page {page} of {totalPages}
+      </span>
+      <button disabled={page >= totalPages} onClick={() => setPage(page + 1)}>
+        Next
+      </button>
+    </div>
+  ) : null;
+
+export default AdminPager;
@@ -0,0 +1,213 @@
+import axios from "axios";
+import { useState } from "react";
+import { Link, useParams } from "react-router-dom";
+import useFetch from "../../hooks/useFetch";
+import { ROOM_FACILITIES, labelsOf } from "../../utils/amenities";
+
+const EMPTY_ROOM = { title: "", desc: "", price: "", maxPeople: "", facilities: [], numbers: "" };
+
+const AdminRooms = () => {
+  const { id } = useParams();
+  const { data: hotel } = useFetch(`/hotels/find${id}`);
+  const { data: rooms, loading, reFetch } = useFetch(`/hotels/room/${id}`);
+  // `editing` is the id of the room type in the form, or null for a new one.
+  const [editing, setEditing] = useState(null);
+  const [form, setForm] = useState(EMPTY_ROOM);
+  const [newNumbers, setNewNumbers] = useState({});
+  const [error, setError] = useState(null);
+
+  const run = async (request) => {
+    setError(null);
+    try {
+      await request();
+      reFetch();
+      return true;
+    } catch (err) {
+      setError(err.response?.data);
+      return false;
+    }
+  };
+
+  const handleChange = (e) => setForm((prev) => ({ ...prev, [e.target.id]: e.target.value }));
+
+  const toggleFacility = (facility) =>
+    setForm((prev) => ({
+      ...prev,
+      facilities: prev.facilities.includes(facility)
+        ? prev.facilities.filter((item) => item !== facility)
+        : [...prev.facilities, facility],
+    }));
+
+  const startEdit = (room) => {
+    setEditing(room._id);
+    setForm({
+      title: room.title,
+      desc: room.desc || "",
+      price: room.price,
+      maxPeople: room.maxPeople,
+      facilities: room.facilities || [],
+      numbers: "",
+    });
+  };
+
+  const resetForm = () => {
+    setEditing(null);
+    setForm(EMPTY_ROOM);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const body = {
+      title: form.title,
+      desc: form.desc,
+      price: form.price,
+      maxPeople: form.maxPeople,
+      facilities: form.facilities,
+    };
+    const saved = await run(() =>
+      editing
+        ? axios.put(`/rooms/${editing}`, body)
+        : axios.post(`/rooms/${id}`, {
+            ...body,
+            roomNumbers: form.numbers
+              .split(",")
+              .map((number) => number.trim())
+              .filter(Boolean)
+              .map((number) => ({ number })),
+          })
+    );
+    if (saved) resetForm();
+  };
+
+  const handleDelete = (room) => {
+    if (!window.confirm(`Delete the room type "${room.title}"?`)) return;
+    run(() => axios.delete(`/rooms/${room._id}`));
+  };
+
+  const addNumber = async (room) => {
+    const added = await run(() =>
+      axios.post(`/rooms/${room._id}/numbers`, { number: newNumbers[room._id] })
+    );
+    if (added) setNewNumbers((prev) => ({ ...prev, [room._id]: "" }));
+  };
+
+  const removeNumber = (room, roomNumber) =>
+    run(() => axios.delete(`/rooms/${room._id}/numbers/${roomNumber._id}`));
+
+  return (
+    <>
+      <div className="adminHeader">
+        <h1>Rooms of {hotel.name}</h1>
+        <Link to="/admin/hotels">Back to hotels</Link>
+      </div>
+      {error && <span className="adminError">{error.message}</span>}
+      {error?.details?.errors?.map((item) => (
+        <span className="adminError" key={item.field}>
+          {item.message}
+        </span>
+      ))}
+      {loading ? (
+        "loading"
+      ) : (
+        <table className="adminTable">
+          <thead>
+            <tr>
+              <th>Room type</th>
+              <th>Price</th>
+              <th>Max people</th>
+              <th>Facilities</th>
+              <th>Room numbers</th>
+              <th></th>
+            </tr>
+          </thead>
+          <tbody>
+            {rooms.map((room) => (
+              <tr key={room._id}>
+                <td>{room.title}</td>
+                <td>${room.price}</td>
+                <td>{room.maxPeople}</td>
+                <td>{labelsOf(room.facilities, ROOM_FACILITIES).join(", ")}</td>
+                <td>
+                  <div className="adminChips">
+                    {room.roomNumbers.map((roomNumber) => (
+                      <span className="adminChip" key={roomNumber._id}>
+                        {roomNumber.number}
+                        <button onClick={() => removeNumber(room, roomNumber)}>×</button>
+                      </span>
+                    ))}
+                  </div>
+                  <div className="adminInline">
+                    <input
+                      type="number"
+                      placeholder="Number"
+                      value={newNumbers[room._id] || ""}
+                      onChange={(e) => setNewNumbers((prev) => ({ ...prev, [room._id]: e.target.value }))}
+                    />
+                    <button onClick={() => addNumber(room)} disabled={!newNumbers[room._id]}>
+                      Add
+                    </button>
+                  </div>
+                </td>
+                <td className="adminActions">
+                  <button onClick={() => startEdit(room)}>Edit</button>
+                  <button onClick={() => handleDelete(room)}>Delete</button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+
+      <form className="adminForm" onSubmit={handleSubmit}>
+        <h2>{editing ? "Edit room type" : "New room type"}</h2>
+        <label>
+          Title
+          <input id="title" value={form.title} onChange={handleChange} />
+        </label>
+        <label>
+          Description
+          <textarea id="desc" rows={3} value={form.desc} onChange={handleChange} />
+        </label>
+        <label>
+          Price per night
+          <input id="price" type="number" min={0} value={form.price} onChange={handleChange} />
+        </label>
+        <label>
+          Max people
+          <input id="maxPeople" type="number" min={1} value={form.maxPeople} onChange={handleChange} />
+        </label>
+        <fieldset>
+          <legend>Facilities</legend>
+          <div className="adminOptions">
+            {Object.entries(ROOM_FACILITIES).map(([facility, label]) => (
+              <label className="adminCheckbox" key={facility}>
+                <input
+                  type="checkbox"
+                  checked={form.facilities.includes(facility)}
+                  onChange={() => toggleFacility(facility)}
+                />
+                {label}
+              </label>
+            ))}
+          </div>
+        </fieldset>
+        {!editing && (
+          <label>
+            Room numbers (comma separated)
+            <input id="numbers" placeholder="101, 102, 103" value={form.numbers} onChange={handleChange} />
+          </label>
+        )}
+        <div className="adminInline">
+          <button className="adminButton">{editing ? "Save changes" : "Add room type"}</button>
+          {editing && (
+            <button type="button" onClick={resetForm}>
+              Cancel
+            </button>
+          )}
+        </div>
+      </form>
+    </>
+  );
+};
+
+export default AdminRooms;
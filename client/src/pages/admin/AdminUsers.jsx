@@ -0,0 +1,120 @@
+import axios from "axios";
+import { useContext, useState } from "react";
+import useFetch from "../../hooks/useFetch";
+import { AuthContext } from "../../context/authContext";
+import AdminPager from "./AdminPager";
+
+const PAGE_SIZE = 20;
+const ROLES = ["guest", "manager", "admin"];
+
+const AdminUsers = () => {
+  const { user: currentUser } = useContext(AuthContext);
+  const [q, setQ] = useState("");
+  const [status, setStatus] = useState("");
+  const [page, setPage] = useState(1);
+  const [actionError, setActionError] = useState(null);
+  const { data, loading, reFetch } = useFetch(
+    `/users?q=${encodeURIComponent(q)}${status ? `&isActive=${status}` : ""}` +
+      `&page=${page}&pageSize=${PAGE_SIZE}`
+  );
+
+  const run = async (request) => {
+    setActionError(null);
+    try {
+      await request();
+      reFetch();
+    } catch (err) {
+      setActionError(err.response?.data?.message || "Update failed");
+    }
+  };
+
+  // `isAdmin` is kept in sync because the API still honours it on older accounts.
+  const setRole = (user, role) =>
+    run(() => axios.put(`/users/${user._id}`, { role, isAdmin: role === "admin" }));
+
+  const toggleActive = (user) => {
+    const isActive = user.isActive === false;
+    if (!isActive && !window.confirm(`Deactivate ${user.username}? They will be logged out.`)) return;
+    run(() => axios.put(`/users/${user._id}/status`, { isActive }));
+  };
+
+  return (
+    <>
+      <div className="adminHeader">
+        <h1>Users</h1>
+      </div>
+      <div className="adminInline">
+        <input
+          className="adminSearch"
+          placeholder="Search by username or email"
+          value={q}
+          onChange={(e) => {
+            setQ(e.target.value);
+            setPage(1);
+          }}
+        />
+        <select
+          value={status}
+          onChange={(e) => {
+            setStatus(e.target.value);
+            setPage(1);
+          }}
+        >
+          <option value="">All users</option>
+          <option value="true">Active</option>
+          <option value="false">Deactivated</option>
+        </select>
+      </div>
+      {actionError && <span className="adminError">{actionError}</span>}
+      {loading ? (
+        "loading"
+      ) : (
+        <table className="adminTable">
+          <thead>
+            <tr>
+              <th>Username</th>
+              <th>Email</th>
+              <th>Role</th>
+              <th>Verified</th>
+              <th>Status</th>
+              <th></th>
+            </tr>
+          </thead>
+          <tbody>
+            {(data.data || []).map((user) => (
+              <tr key={user._id} className={user.isActive === false ? "adminInactive" : ""}>
+                <td>{user.username}</td>
+                <td>{user.email}</td>
+                <td>
+                  <select
+                    value={user.isAdmin ? "admin" : user.role || "guest"}
+                    disabled={user._id === currentUser._id}
+                    onChange={(e) => setRole(user, e.target.value)}
+                  >
+                    {ROLES.map((role) => (
+                      <option key={role} value={role}>
+                        {role}
+                      </option>
+                    ))}
+                  </select>
+                </td>
+                <td>{user.isVerified ? "Yes" : "No"}</td>
+                <td>{user.isActive === false ? "Deactivated" : "Active"}</td>
+                <td className="adminActions">
+                  {user._id !== currentUser._id && (
+                    <button onClick={() => toggleActive(user)}>
+                      {user.isActive === false ? "Activate" : "Deactivate"}
+                    </button>
+                  )}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+      <AdminPager page={page} totalPages={data.totalPages} setPage={setPage} />
+    </>
+  );
+};
+
+export default AdminUsers;
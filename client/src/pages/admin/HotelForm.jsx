@@ -0,0 +1,251 @@
+import axios from "axios";
+import { useContext, useEffect, useState } from "react";
+import { Link, useNavigate, useParams } from "react-router-dom";
+import { AuthContext } from "../../context/authContext";
+import { HOTEL_AMENITIES } from "../../utils/amenities";
+
+// Mirrors HOTEL_TYPES in api/validators/hotels.js.
+const HOTEL_TYPES = ["hotel", "apartment", "resort", "villa", "cabin"];
+
+const EMPTY_HOTEL = {
+  name: "",
+  type: "hotel",
+  city: "",
+  address: "",
+  lat: "",
+  lng: "",
+  title: "",
+  desc: "",
+  photos: [],
+  amenities: [],
+  featured: false,
+  cancellationPolicy: { type: "free", freeDays: 1, refundPercent: 0 },
+};
+
+const TEXT_FIELDS = [
+  { id: "name", label: "Name" },
+  { id: "city", label: "City" },
+  { id: "address", label: "Address" },
+  { id: "title", label: "Title" },
+];
+
+const HotelForm = () => {
+  const { id } = useParams();
+  const navigate = useNavigate();
+  const { user } = useContext(AuthContext);
+  // Only admins pick the hotels featured on the home page.
+  const isAdmin = user?.role === "admin";
+  const [hotel, setHotel] = useState(EMPTY_HOTEL);
+  const [photoUrl, setPhotoUrl] = useState("");
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!id) return;
+    axios
+      .get(`/hotels/find${id}`)
+      .then((res) =>
+        setHotel({
+          ...EMPTY_HOTEL,
+          ...res.data,
+          lat: res.data.location?.coordinates?.[1] ?? "",
+          lng: res.data.location?.coordinates?.[0] ?? "",
+        })
+      )
+      .catch((err) => setError(err.response?.data));
+  }, [id]);
+
+  const handleChange = (e) => {
+    const { id: field, type, value, checked } = e.target;
+    setHotel((prev) => ({ ...prev, [field]: type === "checkbox" ? checked : value }));
+  };
+
+  const handlePolicyChange = (e) => {
+    const { name, value } = e.target;
+    setHotel((prev) => ({
+      ...prev,
+      cancellationPolicy: {
+        ...prev.cancellationPolicy,
+        [name]: name === "type" ? value : Number(value),
+      },
+    }));
+  };
+
+  const toggleAmenity = (amenity) =>
+    setHotel((prev) => ({
+      ...prev,
+      amenities: prev.amenities.includes(amenity)
+        ? prev.amenities.filter((item) => item !== amenity)
+        : [...prev.amenities, amenity],
+    }));
+
+  const addPhoto = () => {
+    if (!photoUrl.trim()) return;
+    setHotel((prev) => ({ ...prev, photos: [...prev.photos, photoUrl.trim()] }));
+    setPhotoUrl("");
+  };
+
+  const removePhoto = (index) =>
+    setHotel((prev) => ({ ...prev, photos: prev.photos.filter((photo, i) => i !== index) }));
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    setError(null);
+    const body = {
+      ...Object.fromEntries(TEXT_FIELDS.map((field) => [field.id, hotel[field.id]])),
+      type: hotel.type,
+      desc: hotel.desc,
+      photos: hotel.photos,
+      amenities: hotel.amenities,
+      ...(isAdmin && { featured: hotel.featured }),
+      cancellationPolicy: hotel.cancellationPolicy,
+      // The distance from the city centre is computed from these.
+      ...(hotel.lat !== "" && hotel.lng !== "" && { location: { lat: hotel.lat, lng: hotel.lng } }),
+    };
+    try {
+      if (id) await axios.put(`/hotels/${id}`, body);
+      else await axios.post("/hotels", body);
+      navigate("/admin/hotels");
+    } catch (err) {
+      setError(err.response?.data);
+      setSaving(false);
+    }
+  };
+
+  return (
+    <>
+      <div className="adminHeader">
+        <h1>{id ? `Edit ${hotel.name}` : "New hotel"}</h1>
+        {id && <Link to={`/admin/hotels/${id}/rooms`}>Manage rooms</Link>}
+      </div>
+      <form className="adminForm" onSubmit={handleSubmit}>
+        {TEXT_FIELDS.map((field) => (
+          <label key={field.id}>
+            {field.label}
+            <input id={field.id} value={hotel[field.id]} onChange={handleChange} />
+          </label>
+        ))}
+        <div className="adminInline">
+          <label>
+            Latitude
+            <input id="lat" type="number" step="any" value={hotel.lat} onChange={handleChange} />
+          </label>
+          <label>
+            Longitude
+            <input id="lng" type="number" step="any" value={hotel.lng} onChange={handleChange} />
+          </label>
+          {hotel.distanceKm != null && (
+            <span className="adminMuted">{hotel.distanceKm} km from the city centre</span>
+          )}
+        </div>
+        <label>
+          Type
+          <select id="type" value={hotel.type} onChange={handleChange}>
+            {HOTEL_TYPES.map((type) => (
+              <option key={type} value={type}>
+                {type}
+              </option>
+            ))}
+          </select>
+        </label>
+        <label>
+          Description
+          <textarea id="desc" rows={5} value={hotel.desc} onChange={handleChange} />
+        </label>
+        {isAdmin && (
+          <label className="adminCheckbox">
+            <input id="featured" type="checkbox" checked={hotel.featured} onChange={handleChange} />
+            Featured on the home page
+          </label>
+        )}
+
+        <fieldset>
+          <legend>Photos</legend>
+          <div className="adminPhotos">
+            {hotel.photos.map((photo, index) => (
+              <div className="adminPhoto" key={`${photo}-${index}`}>
+                <img src={photo} alt="" />
+                <button type="button" onClick={() => removePhoto(index)}>
+                  Remove
+                </button>
+              </div>
+            ))}
+          </div>
+          <div className="adminInline">
+            <input
+              placeholder="https://..."
+              value={photoUrl}
+              onChange={(e) => setPhotoUrl(e.target.value)}
+            />
+            <button type="button" onClick={addPhoto}>
+              Add photo
+            </button>
+          </div>
+        </fieldset>
+
+        <fieldset>
+          <legend>Facilities</legend>
+          <div className="adminOptions">
+            {Object.entries(HOTEL_AMENITIES).map(([amenity, label]) => (
+              <label className="adminCheckbox" key={amenity}>
+                <input
+                  type="checkbox"
+                  checked={hotel.amenities.includes(amenity)}
+                  onChange={() => toggleAmenity(amenity)}
+                />
+                {label}
+              </label>
+            ))}
+          </div>
+        </fieldset>
+
+        <fieldset>
+          <legend>Cancellation policy</legend>
+          <select name="type" value={hotel.cancellationPolicy.type} onChange={handlePolicyChange}>
+            <option value="free">Free cancellation</option>
+            <option value="partial">Partial refund</option>
+            <option value="non-refundable">Non-refundable</option>
+          </select>
+          {hotel.cancellationPolicy.type === "free" && (
+            <label>
+              Free until (days before check-in)
+              <input
+                name="freeDays"
+                type="number"
+                min={0}
+                value={hotel.cancellationPolicy.freeDays}
+                onChange={handlePolicyChange}
+              />
+            </label>
+          )}
+          {hotel.cancellationPolicy.type !== "non-refundable" && (
+            <label>
+              {hotel.cancellationPolicy.type === "free" ? "Refund after that (%)" : "Refund (%)"}
+              <input
+                name="refundPercent"
+                type="number"
+                min={0}
+                max={100}
+                value={hotel.cancellationPolicy.refundPercent}
+                onChange={handlePolicyChange}
+              />
+            </label>
+          )}
+        </fieldset>
+
+        {error && <span className="adminError">{error.message}</span>}
+        {error?.details?.errors?.map((item) => (
+          <span className="adminError" key={item.field}>
+            {item.message}
+          </span>
+        ))}
+        <button className="adminButton" disabled={saving}>
+          {id ? "Save changes" : "Create hotel"}
+        </button>
+      </form>
+    </>
+  );
+};
+
+export default HotelForm;
@@ -0,0 +1,45 @@
+import axios from "axios"
+
+import "../login/login.css"
+
+import React, { useState } from 'react'
+import { Link } from "react-router-dom"
+
+const ForgotPassword = () => {
+    const [email, setEmail] = useState("")
+    const [loading, setLoading] = useState(false)
+    const [error, setError] = useState(null)
+    const [message, setMessage] = useState(null)
+
+    const handleClick = async e => {
+        e.preventDefault()
+        setLoading(true)
+        setError(null)
+        try {
+            const res = await axios.post("/auth/forgot-password", { email })
+            setMessage(res.data)
+        } catch (err) {
+            setError(err.response?.data)
+        }
+        setLoading(false)
+    }
+
+  return (
+    <div className="login" >
+    <div className="lContainer">
+        {message ? (
+            <span>{message}</span>
+        ) : (
+            <>
+                <input type="email" placeholder="email" onChange={e => setEmail(e.target.value)} className="lInput" />
+                <button disabled={loading} onClick={handleClick} className="lButton">Send reset link</button>
+                {error && <span>{error.message}</span>}
+            </>
+        )}
+        <Link to="/login">Back to login</Link>
+    </div>
+    </div>
+  )
+}
+
+export default ForgotPassword
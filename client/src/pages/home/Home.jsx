@@ -6,18 +6,32 @@ import PropertyList from "../../components/propertyList/PropertyList"
 import FeaturedProperties from "../../components/featuredProperties/FeaturedProperties"
 import MailList from "../../components/mailList/MailList"
 import Footer from "../../components/footer/Footer"
+import useFetch from "../../hooks/useFetch"
+
+const SECTIONS = {
+  destinations: Featured,
+  types: PropertyList,
+  hotels: FeaturedProperties,
+}
 
 const Home = () => {
+  const { data: sections, loading } = useFetch("/home")
+
   return (
     <div>
     <Navbar/>
      <Header/>
      <div className="homeContainer">
-      <Featured />
-      <h1 className="homeTitle" > Browse by property type</h1>
-      <PropertyList />
-      <h1 className="homeTitle" > Home guests love</h1>
-      <FeaturedProperties />
+      {loading ? "Loading Please Wait" : sections.map((section) => {
+        const Section = SECTIONS[section.kind]
+        if (!Section || !section.items.length) return null
+        return (
+          <div className="homeSection" key={section._id || section.kind}>
+            <h1 className="homeTitle" >{section.title}</h1>
+            <Section items={section.items} />
+          </div>
+        )
+      })}
       <MailList/>
       <Footer/>
      </div>
@@ -16,6 +16,10 @@ import { useLocation, useNavigate } from "react-router-dom";
 import { SearchContext } from "../../context/SearchContext";
 import { AuthContext } from "../../context/authContext";
 import Reserve from "../../components/reserve/Reserve";
+import Reviews from "../../components/reviews/Reviews";
+import { format } from "date-fns";
+import { HOTEL_AMENITIES, labelsOf } from "../../utils/amenities";
+import { distanceLabel } from "../../utils/distance";
 
 const Hotel = () => {
   const location = useLocation()
@@ -39,6 +43,11 @@ const Hotel = () => {
 
   const days = dayDifference(dates[0].endDate, dates[0].startDate);
 
+  const { data: quote } = useFetch(
+    `/hotels/${id}/quote?checkIn=${format(dates[0].startDate, "yyyy-MM-dd")}` +
+      `&checkOut=${format(dates[0].endDate, "yyyy-MM-dd")}&rooms=${options.room}`
+  );
+
 
 
   const handleOpen = (i) => {
@@ -70,7 +79,11 @@ const Hotel = () => {
     <div>
       <Navbar />
       <Header type="list" />
-     { loading ? "loading " :
+     { loading ? "loading " : error ? (
+      <div className="hotelContainer">
+        {error.response?.status === 404 ? "This property doesn't exist." : "Something went wrong."}
+      </div>
+     ) :
       <div className="hotelContainer">
         {open && (
           <div className="slider">
@@ -101,9 +114,9 @@ const Hotel = () => {
             <FontAwesomeIcon icon={faLocationDot} />
             <span>{data?.address}</span>
           </div>
-          <span className="hotelDistance">
-            Excellent location – {data?.distance}m from center
-          </span>
+          {distanceLabel(data) && (
+            <span className="hotelDistance">Excellent location – {distanceLabel(data)}</span>
+          )}
           <span className="hotelPriceHighlight">
             Book a stay over ${data.cheapestPrice} at this property and get a free airport taxi
           </span>
@@ -125,24 +138,46 @@ const Hotel = () => {
               <p className="hotelDesc">
                 {data?.desc}
               </p>
+              {labelsOf(data.amenities, HOTEL_AMENITIES).length > 0 && (
+                <div className="hotelAmenities">
+                  <h2>Most popular facilities</h2>
+                  <ul>
+                    {labelsOf(data.amenities, HOTEL_AMENITIES).map((amenity) => (
+                      <li key={amenity}>{amenity}</li>
+                    ))}
+                  </ul>
+                </div>
+              )}
             </div>
             <div className="hotelDetailsPrice">
               <h1>Perfect for a {days}-night stay!</h1>
               <span>
-                Located in the real heart of Krakow, this property has an
-                excellent location score of 9.8!
+                Located in {data.city}
+                {distanceLabel(data) ? `, ${distanceLabel(data)}` : ""}
+                {data.ratingBreakdown?.location
+                  ? `. Guests rate the location ${data.ratingBreakdown.location}/5!`
+                  : "."}
               </span>
-              <h2>
-                <b>${days * data.cheapestPrice * options.room }</b> ({days} nights)
-              </h2>
+              {quote.cheapest ? (
+                <h2>
+                  <b>${quote.cheapest.total}</b> ({days} nights)
+                </h2>
+              ) : (
+                quote.rooms && (
+                  <span className="hotelUnavailable">
+                    {quote.rooms[0]?.reason || "No rooms can be priced for these dates."}
+                  </span>
+                )
+              )}
               <button onClick={handleClick}  >Reserve or Book Now!</button>
             </div>
           </div>
         </div>
+        {data._id && <Reviews hotel={data} />}
         <MailList />
         <Footer />
       </div>}
-      {openModal && <Reserve setOpen={setOpenModal}  />}
+      {openModal && <Reserve setOpen={setOpenModal} hotelId={id} />}
     </div>
   );
 };
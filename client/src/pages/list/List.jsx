@@ -7,22 +7,108 @@ import { format } from "date-fns";
 import { DateRange } from "react-date-range";
 import SearchItem from "../../components/serachItem/SearchItem";
 import useFetch from "../../hooks/useFetch";
+import DestinationInput from "../../components/destinationInput/DestinationInput";
+import HotelMap from "../../components/hotelMap/HotelMap";
+import FacetFilter from "../../components/facetFilter/FacetFilter";
+import { HOTEL_AMENITIES, ROOM_FACILITIES } from "../../utils/amenities";
+
+const PAGE_SIZE = 10;
+const RADIUS_OPTIONS = [1, 5, 10, 25, 50];
+
+const listParam = (name, values) =>
+  values.length ? `&${name}=${values.map(encodeURIComponent).join(",")}` : "";
+
+const SORT_OPTIONS = [
+  { value: "price", label: "Price (lowest first)" },
+  { value: "-price", label: "Price (highest first)" },
+  { value: "rating", label: "Top rated" },
+  { value: "distance", label: "Distance from center" },
+  { value: "newest", label: "Newest" },
+];
 
 const List = () => {
   const location = useLocation();
 
   const [destination, setDestination] = useState(location.state.destination);
+  // What's typed in the sidebar; it becomes the search on "Search".
+  const [destinationInput, setDestinationInput] = useState(location.state.destination);
   const [openDate, setOpenDate] = useState(false);
   const [dates, setDates] = useState(location.state.dates);
   const [options, setOptions] = useState(location.state.options);
   const [min, setMin] = useState(undefined);
   const [max, setMax] = useState(undefined);
+  const [sort, setSort] = useState("price");
+  const [page, setPage] = useState(1);
+  const [showMap, setShowMap] = useState(false);
+  // { lat, lng } of the user when searching around them.
+  const [near, setNear] = useState(null);
+  const [radius, setRadius] = useState(10);
+  const [locating, setLocating] = useState(false);
+  const [locationError, setLocationError] = useState(null);
+  const [types, setTypes] = useState(location.state.types || []);
+  const [amenities, setAmenities] = useState([]);
+  const [facilities, setFacilities] = useState([]);
 
   const { data, loading, error, reFetch } = useFetch(
-    `hotels?city=${destination}&min=${min || 0}&max=${max || 999}`
+    `hotels?q=${encodeURIComponent(destination || "")}&min=${min || 0}&max=${max || 999}` +
+      `&checkIn=${format(dates[0].startDate, "yyyy-MM-dd")}` +
+      `&checkOut=${format(dates[0].endDate, "yyyy-MM-dd")}` +
+      `&adults=${options.adult}&children=${options.children}&rooms=${options.room}` +
+      `&sort=${sort}&page=${page}&pageSize=${PAGE_SIZE}` +
+      (near ? `&near=${near.lat},${near.lng}&radius=${radius}` : "") +
+      listParam("type", types) +
+      listParam("amenities", amenities) +
+      listParam("facilities", facilities) +
+      "&facets=true"
+  );
+  const hotels = data.data || [];
+  const facets = data.facets || {};
+  // Only the property types that have results, plus any still ticked.
+  const typeOptions = Object.fromEntries(
+    [...new Set([...Object.keys(facets.type || {}), ...types])].map((type) => [
+      type,
+      type.charAt(0).toUpperCase() + type.slice(1),
+    ])
   );
+
+  const handleFilter = (setter) => (values) => {
+    setter(values);
+    setPage(1);
+  };
+
+  const handleOption = (name) => (e) => {
+    const value = parseInt(e.target.value);
+    if (!isNaN(value)) {
+      setOptions((prev) => ({ ...prev, [name]: value }));
+      setPage(1);
+    }
+  };
+ const handleNearMe = () => {
+  if (!navigator.geolocation) {
+    setLocationError("Your browser can't share its location.")
+    return
+  }
+  setLocating(true)
+  setLocationError(null)
+  navigator.geolocation.getCurrentPosition(
+    (position) => {
+      setNear({ lat: position.coords.latitude, lng: position.coords.longitude })
+      setPage(1)
+      setLocating(false)
+    },
+    () => {
+      setLocationError("We couldn't get your location.")
+      setLocating(false)
+    }
+  )
+ }
  const handleClick = () => {
-  reFetch()
+  if (destinationInput !== destination) {
+    setDestination(destinationInput)
+    setPage(1)
+  } else {
+    reFetch()
+  }
  }
   return (
     <div>
@@ -30,81 +116,191 @@ const List = () => {
       <Header type="list" />
       <div className="listContainer">
         <div className="listWrapper">
-          <div className="listSearch">
-            <h1 className="lsTitle">Search</h1>
-            <div className="lsItem">
-              <label>Destination</label>
-              <input placeholder={destination} type="text" />
-            </div>
-            <div className="lsItem">
-              <label>Check-in Date</label>
-              <span onClick={() => setOpenDate(!openDate)}>{`${format(
-                dates[0].startDate,
-                "dd/MM/yyyy"
-              )} to ${format(dates[0].endDate, "dd/MM/yyyy")}`}</span>
-              {openDate && (
-                <DateRange
-                  onChange={(item) => setDates([item.selection])}
-                  minDate={new Date()}
-                  ranges={dates}
+          <div className="listSidebar">
+            <div className="listSearch">
+              <h1 className="lsTitle">Search</h1>
+              <div className="lsItem">
+                <label>Destination</label>
+                <DestinationInput
+                  value={destinationInput}
+                  onChange={setDestinationInput}
+                  placeholder="Where are you going?"
                 />
-              )}
-            </div>
-
-            <div className="lsItem">
-              <label>Options</label>
-              <div className="lsOptions">
-                <div className="lsOptionItem">
-                  <span className="lsOptionText">
-                    Min price <small>per night</small>
-                  </span>
-                  <input type="number" onChange={e=>setMin(e.target.value)} className="lsOptionInput" />
-                </div>
-                <div className="lsOptionItem">
-                  <span className="lsOptionText">
-                    Max price <small>per night</small>
-                  </span>
-                  <input type="number" onChange={e=>setMax(e.target.value)}  className="lsOptionInput" />
-                </div>
-                <div className="lsOptionItem">
-                  <span className="lsOptionText">Adult</span>
-                  <input
-                    type="number"
-                    min={1}
-                    placeholder={options.adult}
-                    className="lsOptionInput"
-                  />
-                </div>
-                <div className="lsOptionItem">
-                  <span className="lsOptionText">Children</span>
-                  <input
-                    type="number"
-                    min={0}
-                    placeholder={options.children}
-                    className="lsOptionInput"
-                  />
-                </div>
-                <div className="lsOptionItem">
-                  <span className="lsOptionText">Room</span>
-                  <input
-                    type="number"
-                    min={1}
-                    placeholder={options.room}
-                    className="lsOptionInput"
+              </div>
+              <div className="lsItem">
+                <label>Check-in Date</label>
+                <span onClick={() => setOpenDate(!openDate)}>{`${format(
+                  dates[0].startDate,
+                  "dd/MM/yyyy"
+                )} to ${format(dates[0].endDate, "dd/MM/yyyy")}`}</span>
+                {openDate && (
+                  <DateRange
+                    onChange={(item) => {
+                      setDates([item.selection]);
+                      setPage(1);
+                    }}
+                    minDate={new Date()}
+                    ranges={dates}
                   />
+                )}
+              </div>
+
+              <div className="lsItem">
+                <label>Near you</label>
+                {near ? (
+                  <div className="lsNear">
+                    <select
+                      value={radius}
+                      onChange={(e) => {
+                        setRadius(Number(e.target.value));
+                        setPage(1);
+                      }}
+                    >
+                      {RADIUS_OPTIONS.map((km) => (
+                        <option key={km} value={km}>
+                          Within {km} km
+                        </option>
+                      ))}
+                    </select>
+                    <button
+                      onClick={() => {
+                        setNear(null);
+                        setPage(1);
+                      }}
+                    >
+                      Clear
+                    </button>
+                  </div>
+                ) : (
+                  <button className="lsNearButton" disabled={locating} onClick={handleNearMe}>
+                    {locating ? "Locating..." : "Search near me"}
+                  </button>
+                )}
+                {locationError && <small className="lsError">{locationError}</small>}
+              </div>
+              <div className="lsItem">
+                <label>Options</label>
+                <div className="lsOptions">
+                  <div className="lsOptionItem">
+                    <span className="lsOptionText">
+                      Min price <small>per night</small>
+                    </span>
+                    <input type="number" onChange={e=>{setMin(e.target.value); setPage(1)}} className="lsOptionInput" />
+                  </div>
+                  <div className="lsOptionItem">
+                    <span className="lsOptionText">
+                      Max price <small>per night</small>
+                    </span>
+                    <input type="number" onChange={e=>{setMax(e.target.value); setPage(1)}}  className="lsOptionInput" />
+                  </div>
+                  <div className="lsOptionItem">
+                    <span className="lsOptionText">Adult</span>
+                    <input
+                      type="number"
+                      min={1}
+                      placeholder={options.adult}
+                      onChange={handleOption("adult")}
+                      className="lsOptionInput"
+                    />
+                  </div>
+                  <div className="lsOptionItem">
+                    <span className="lsOptionText">Children</span>
+                    <input
+                      type="number"
+                      min={0}
+                      placeholder={options.children}
+                      onChange={handleOption("children")}
+                      className="lsOptionInput"
+                    />
+                  </div>
+                  <div className="lsOptionItem">
+                    <span className="lsOptionText">Room</span>
+                    <input
+                      type="number"
+                      min={1}
+                      placeholder={options.room}
+                      onChange={handleOption("room")}
+                      className="lsOptionInput"
+                    />
+                  </div>
                 </div>
               </div>
+              <button onClick={handleClick} >Search</button>
+            </div>
+            <div className="listFilters">
+              <h2 className="lfTitle">Filter by</h2>
+              <FacetFilter
+                title="Property type"
+                options={typeOptions}
+                selected={types}
+                counts={facets.type}
+                onChange={handleFilter(setTypes)}
+              />
+              <FacetFilter
+                title="Facilities"
+                options={HOTEL_AMENITIES}
+                selected={amenities}
+                counts={facets.amenities}
+                onChange={handleFilter(setAmenities)}
+              />
+              <FacetFilter
+                title="Room facilities"
+                options={ROOM_FACILITIES}
+                selected={facilities}
+                counts={facets.facilities}
+                onChange={handleFilter(setFacilities)}
+              />
             </div>
-            <button onClick={handleClick} >Search</button>
           </div>
           <div className="listResult">
+            <div className="listSort">
+              <span>{data.total ?? 0} properties found</span>
+              <button className="listMapToggle" onClick={() => setShowMap(!showMap)}>
+                {showMap ? "Hide map" : "Show on map"}
+              </button>
+              <select
+                value={sort}
+                onChange={(e) => {
+                  setSort(e.target.value);
+                  setPage(1);
+                }}
+              >
+                {SORT_OPTIONS.map((option) => (
+                  <option key={option.value} value={option.value}>
+                    {option.label}
+                  </option>
+                ))}
+              </select>
+            </div>
             {loading ? (
               "Loading ..."
             ) : (
               <>
-                {data.map((item) => (
+                {showMap && <HotelMap hotels={hotels} origin={near} />}
+                {!hotels.length && (
+                  <span className="listEmpty">
+                    No properties match your search and filters.
+                  </span>
+                )}
+                {hotels.map((item) => (
                   <SearchItem item={item} key={item._id} />
                 ))}
+                {data.totalPages > 1 && (
+                  <div className="listPagination">
+                    <button disabled={page <= 1} onClick={() => setPage(page - 1)}>
+                      Previous
+                    </button>
+                    <span>
+                      Page {page} of {data.totalPages}
+                    </span>
+                    <button
+                      disabled={page >= data.totalPages}
+                      onClick={() => setPage(page + 1)}
+                    >
+                      Next
+                    </button>
+                  </div>
+                )}
               </>
             )}
           </div>
@@ -4,7 +4,7 @@ import "./login.css"
 
 import React, { useContext, useState } from 'react'
 import { AuthContext } from "../../context/authContext"
-import { useNavigate } from "react-router-dom"
+import { Link, useNavigate } from "react-router-dom"
 
 const Login = () => {
     const [credentials, setCredentials] = useState({
@@ -28,7 +28,7 @@ const Login = () => {
             const res = await axios.post("/auth/login", credentials)
             console.log(credentials)
             console.log(res)
-            dispatch({ type:"LOGIN_SUCCESS", payload: res.data})
+            dispatch({ type:"LOGIN_SUCCESS", payload: res.data.details})
             navigate("/")
         } catch (error) {
             dispatch({type:"LOGIN_FAILURE", payload:error.response.data})
@@ -42,6 +42,7 @@ const Login = () => {
         <input type="password" placeholder="password" id="password" onChange={handleChange} className="lInput" />
         <button disabled={loading} onClick={handleClick} className="lButton">Login</button>
         {error &&  <span>{error.message}</span> }
+        <Link to="/forgot-password">Forgot your password?</Link>
     </div>
       
     </div>
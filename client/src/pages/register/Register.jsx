@@ -0,0 +1,58 @@
+import axios from "axios"
+
+import "../login/login.css"
+
+import React, { useState } from 'react'
+import { Link } from "react-router-dom"
+
+const Register = () => {
+    const [form, setForm] = useState({
+        username:"",
+        email:"",
+        password:""
+    })
+    const [loading, setLoading] = useState(false)
+    const [error, setError] = useState(null)
+    const [message, setMessage] = useState(null)
+
+    const handleChange = (e) => {
+        setForm(prev=> ({...prev, [e.target.id]:e.target.value}))
+    }
+
+    const handleClick = async e => {
+        e.preventDefault()
+        setLoading(true)
+        setError(null)
+        try {
+            const res = await axios.post("/auth/register", form)
+            setMessage(res.data)
+        } catch (err) {
+            setError(err.response?.data)
+        }
+        setLoading(false)
+    }
+
+  return (
+    <div className="login" >
+    <div className="lContainer">
+        {message ? (
+            <span>{message}</span>
+        ) : (
+            <>
+                <input type="text" placeholder="username" id="username" onChange={handleChange} className="lInput" />
+                <input type="email" placeholder="email" id="email" onChange={handleChange} className="lInput" />
+                <input type="password" placeholder="password" id="password" onChange={handleChange} className="lInput" />
+                <button disabled={loading} onClick={handleClick} className="lButton">Register</button>
+                {error && <span>{error.message}</span>}
+                {error?.details?.errors?.map((item) => (
+                    <span className="lFieldError" key={item.field}>{item.message}</span>
+                ))}
+            </>
+        )}
+        <Link to="/login">Already have an account? Log in</Link>
+    </div>
+    </div>
+  )
+}
+
+export default Register
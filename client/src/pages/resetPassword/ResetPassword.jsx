@@ -0,0 +1,54 @@
+import axios from "axios"
+
+import "../login/login.css"
+
+import React, { useState } from 'react'
+import { Link, useSearchParams } from "react-router-dom"
+
+const ResetPassword = () => {
+    const [searchParams] = useSearchParams()
+    const [password, setPassword] = useState("")
+    const [loading, setLoading] = useState(false)
+    const [error, setError] = useState(null)
+    const [message, setMessage] = useState(null)
+
+    const handleClick = async e => {
+        e.preventDefault()
+        setLoading(true)
+        setError(null)
+        try {
+            const res = await axios.post("/auth/reset-password", {
+                token: searchParams.get("token"),
+                password,
+            })
+            setMessage(res.data)
+        } catch (err) {
+            setError(err.response?.data)
+        }
+        setLoading(false)
+    }
+
+  return (
+    <div className="login" >
+    <div className="lContainer">
+        {message ? (
+            <>
+                <span>{message}</span>
+                <Link to="/login">Continue to login</Link>
+            </>
+        ) : (
+            <>
+                <input type="password" placeholder="new password" onChange={e => setPassword(e.target.value)} className="lInput" />
+                <button disabled={loading} onClick={handleClick} className="lButton">Reset password</button>
+                {error && <span>{error.message}</span>}
+                {error?.details?.errors?.map((item) => (
+                    <span className="lFieldError" key={item.field}>{item.message}</span>
+                ))}
+            </>
+        )}
+    </div>
+    </div>
+  )
+}
+
+export default ResetPassword
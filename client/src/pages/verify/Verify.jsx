@@ -0,0 +1,37 @@
+import axios from "axios"
+
+import "../login/login.css"
+
+import React, { useEffect, useState } from 'react'
+import { Link, useSearchParams } from "react-router-dom"
+
+const Verify = () => {
+    const [searchParams] = useSearchParams()
+    const token = searchParams.get("token")
+    const [status, setStatus] = useState(token ? "loading" : "error")
+    const [message, setMessage] = useState(token ? "Verifying your email..." : "Verification link is missing its token.")
+
+    useEffect(() => {
+        if (!token) return
+        axios.post("/auth/verify", { token })
+            .then(res => {
+                setStatus("done")
+                setMessage(res.data)
+            })
+            .catch(err => {
+                setStatus("error")
+                setMessage(err.response?.data?.message || "Verification failed.")
+            })
+    }, [token])
+
+  return (
+    <div className="login" >
+    <div className="lContainer">
+        <span>{message}</span>
+        {status === "done" && <Link to="/login">Continue to login</Link>}
+    </div>
+    </div>
+  )
+}
+
+export default Verify
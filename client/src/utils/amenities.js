@@ -0,0 +1,31 @@
+// Mirrors HOTEL_AMENITIES in api/validators/hotels.js.
+export const HOTEL_AMENITIES = {
+  wifi: "Free WiFi",
+  parking: "Parking",
+  breakfast: "Breakfast included",
+  pool: "Swimming pool",
+  accessibility: "Wheelchair accessible",
+  "airport-shuttle": "Airport shuttle",
+  restaurant: "Restaurant",
+  fitness: "Fitness centre",
+  spa: "Spa",
+  pets: "Pets allowed",
+  "family-rooms": "Family rooms",
+};
+
+// Mirrors ROOM_FACILITIES in api/validators/rooms.js.
+export const ROOM_FACILITIES = {
+  "air-conditioning": "Air conditioning",
+  "private-bathroom": "Private bathroom",
+  kitchen: "Kitchen",
+  balcony: "Balcony",
+  tv: "Flat-screen TV",
+  desk: "Desk",
+  bathtub: "Bathtub",
+  "sea-view": "Sea view",
+  accessible: "Accessible room",
+};
+
+// Turns stored values into labels, skipping any the client doesn't know yet.
+export const labelsOf = (values = [], labels) =>
+  values.filter((value) => labels[value]).map((value) => labels[value]);
@@ -0,0 +1,22 @@
+// Mirrors the API default for hotels that haven't set a policy.
+const DEFAULT_POLICY = { type: "free", freeDays: 1, refundPercent: 0 };
+
+const days = (count) => `${count} ${count === 1 ? "day" : "days"}`;
+
+// Describes a hotel's cancellation policy as a headline and a subtitle.
+export const cancellationLabel = (policy) => {
+  const { type, freeDays, refundPercent } = { ...DEFAULT_POLICY, ...policy };
+  if (type === "non-refundable")
+    return { title: "Non-refundable", subtitle: "This price can't be refunded if you cancel." };
+  if (type === "partial")
+    return {
+      title: `${refundPercent}% refund on cancellation`,
+      subtitle: `You get ${refundPercent}% back if you cancel before check-in.`,
+    };
+  return {
+    title: "Free cancellation",
+    subtitle: freeDays
+      ? `Cancel up to ${days(freeDays)} before check-in for a full refund.`
+      : "You can cancel until check-in, so lock in this great price today!",
+  };
+};
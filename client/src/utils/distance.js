@@ -0,0 +1,18 @@
+const formatKm = (km) => (km < 1 ? `${Math.round(km * 1000)} m` : `${km.toFixed(1)} km`);
+
+// How far a hotel is from its city centre; older hotels only have typed-in text.
+export const distanceLabel = (hotel) => {
+  if (hotel?.distanceKm != null) return `${formatKm(hotel.distanceKm)} from center`;
+  if (hotel?.distance) return `${hotel.distance} from center`;
+  return null;
+};
+
+// How far a hotel is from the point the user searched around.
+export const searchDistanceLabel = (hotel) =>
+  hotel?.distanceFromSearchKm != null ? `${formatKm(hotel.distanceFromSearchKm)} from you` : null;
+
+// GeoJSON points are [lng, lat].
+export const latLngOf = (hotel) =>
+  hotel?.location?.coordinates?.length === 2
+    ? { lat: hotel.location.coordinates[1], lng: hotel.location.coordinates[0] }
+    : null;
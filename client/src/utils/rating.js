@@ -0,0 +1,8 @@
+// Turns a 1-5 review score into the label shown next to it.
+export const ratingLabel = (rating) => {
+  if (rating >= 4.5) return "Exceptional";
+  if (rating >= 4) return "Excellent";
+  if (rating >= 3.5) return "Very good";
+  if (rating >= 3) return "Good";
+  return "Review score";
+};
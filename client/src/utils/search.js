@@ -0,0 +1,7 @@
+import { addDays } from "date-fns";
+
+// The search a home page link starts: one night from today for one adult.
+export const defaultSearch = () => ({
+  dates: [{ startDate: new Date(), endDate: addDays(new Date(), 1), key: "selection" }],
+  options: { adult: 1, children: 0, room: 1 },
+});